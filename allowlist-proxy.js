@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+// Allowlist egress proxy for OpenCode Box (--network-policy allowlist)
+// Runs in a sidecar container that is the only way out of the box's internal
+// network. Plain HTTP requests and CONNECT tunnels (HTTPS, SSH) are forwarded
+// only to hosts on the allowlist; everything else is refused and logged.
+//
+// Usage:
+//   node allowlist-proxy.js                  Start the proxy (reads ALLOWED_HOSTS)
+//   node allowlist-proxy.js connect <h> <p>  Tunnel stdin/stdout to <h>:<p> through
+//                                            the proxy at OPENCODEBOX_PROXY, for
+//                                            use as an SSH ProxyCommand
+
+const http = require('http');
+const net = require('net');
+
+const PROXY_PORT = parseInt(process.env.PROXY_PORT || '3128', 10);
+const DEFAULT_PORTS = ['80', '443'];
+
+// Entries are "host", "*.domain" or either of them with ":port". Entries
+// without a port allow the default HTTP and HTTPS ports only.
+function parseAllowlist(value) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim().toLowerCase())
+        .filter(entry => entry !== '')
+        .map(entry => {
+            const match = entry.match(/^(.+?)(?::(\d+))?$/);
+            return { pattern: match[1], ports: match[2] ? [match[2]] : DEFAULT_PORTS };
+        });
+}
+
+function isAllowed(allowlist, host, port) {
+    const hostname = host.toLowerCase();
+    return allowlist.some(entry => {
+        const hostMatches = entry.pattern.startsWith('*.')
+            ? hostname.endsWith(entry.pattern.slice(1)) || hostname === entry.pattern.slice(2)
+            : hostname === entry.pattern;
+        return hostMatches && entry.ports.includes(String(port));
+    });
+}
+
+function logRequest(allowed, method, host, port) {
+    console.log(`${new Date().toISOString()} ${allowed ? 'ALLOWED' : 'BLOCKED'} ${method} ${host}:${port}`);
+}
+
+function startProxy() {
+    const allowlist = parseAllowlist(process.env.ALLOWED_HOSTS);
+
+    const server = http.createServer((req, res) => {
+        let target;
+        try {
+            target = new URL(req.url);
+        } catch (error) {
+            res.writeHead(400);
+            res.end('Bad request\n');
+            return;
+        }
+
+        const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+        const allowed = target.protocol === 'http:' && isAllowed(allowlist, target.hostname, port);
+        logRequest(allowed, req.method, target.hostname, port);
+
+        if (!allowed) {
+            res.writeHead(403);
+            res.end(`Blocked by OpenCode Box network policy: ${target.hostname}\n`);
+            return;
+        }
+
+        const upstream = http.request({
+            hostname: target.hostname,
+            port: port,
+            path: target.pathname + target.search,
+            method: req.method,
+            headers: req.headers
+        }, upstreamRes => {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            upstreamRes.pipe(res);
+        });
+
+        upstream.on('error', error => {
+            res.writeHead(502);
+            res.end(`Upstream error: ${error.message}\n`);
+        });
+        req.pipe(upstream);
+    });
+
+    server.on('connect', (req, clientSocket, head) => {
+        const match = req.url.match(/^\[?([^\]]+?)\]?:(\d+)$/);
+        const host = match ? match[1] : req.url;
+        const port = match ? match[2] : '443';
+        const allowed = Boolean(match) && isAllowed(allowlist, host, port);
+        logRequest(allowed, 'CONNECT', host, port);
+
+        if (!allowed) {
+            clientSocket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+
+        const upstream = net.connect(parseInt(port, 10), host, () => {
+            clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            upstream.write(head);
+            upstream.pipe(clientSocket);
+            clientSocket.pipe(upstream);
+        });
+
+        upstream.on('error', () => clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n'));
+        clientSocket.on('error', () => upstream.destroy());
+    });
+
+    server.listen(PROXY_PORT, () => {
+        console.log(`Allowlist proxy listening on port ${PROXY_PORT}`);
+        console.log(`Allowed hosts: ${allowlist.map(e => `${e.pattern}:${e.ports.join('/')}`).join(', ') || '(none)'}`);
+    });
+}
+
+function connectThroughProxy(host, port) {
+    const [proxyHost, proxyPort] = (process.env.OPENCODEBOX_PROXY || '').split(':');
+    if (!proxyHost || !proxyPort) {
+        process.stderr.write('OPENCODEBOX_PROXY is not set\n');
+        process.exit(1);
+    }
+
+    const socket = net.connect(parseInt(proxyPort, 10), proxyHost, () => {
+        socket.write(`CONNECT ${host}:${port} HTTP/1.1\r\nHost: ${host}:${port}\r\n\r\n`);
+    });
+
+    let response = Buffer.alloc(0);
+    const onData = chunk => {
+        response = Buffer.concat([response, chunk]);
+        const headerEnd = response.indexOf('\r\n\r\n');
+        if (headerEnd === -1) {
+            return;
+        }
+
+        socket.removeListener('data', onData);
+        const statusLine = response.slice(0, response.indexOf('\r\n')).toString();
+        if (!/^HTTP\/1\.[01] 200/.test(statusLine)) {
+            process.stderr.write(`Proxy refused connection to ${host}:${port}: ${statusLine}\n`);
+            process.exit(1);
+        }
+
+        process.stdout.write(response.slice(headerEnd + 4));
+        socket.pipe(process.stdout);
+        process.stdin.pipe(socket);
+    };
+
+    socket.on('data', onData);
+    socket.on('error', error => {
+        process.stderr.write(`Proxy connection failed: ${error.message}\n`);
+        process.exit(1);
+    });
+    socket.on('close', () => process.exit(0));
+}
+
+if (process.argv[2] === 'connect') {
+    connectThroughProxy(process.argv[3], process.argv[4]);
+} else {
+    startProxy();
+}
@@ -1,727 +1,728 @@
 #!/usr/bin/env node
 
-const { execSync, spawn } = require('child_process');
+const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
-const url = require('url');
-const crypto = require('crypto');
-
-// Simple colored output functions
-const log = {
-    info: (msg) => console.log(`\x1b[34m[INFO]\x1b[0m ${msg}`),
-    success: (msg) => console.log(`\x1b[32m[SUCCESS]\x1b[0m ${msg}`),
-    warning: (msg) => console.log(`\x1b[33m[WARNING]\x1b[0m ${msg}`),
-    error: (msg) => console.log(`\x1b[31m[ERROR]\x1b[0m ${msg}`)
+const {
+    log,
+    PACKAGE_VERSION,
+    CONFIG_SCHEMA,
+    USER_CONFIG_PATH,
+    PROJECT_CONFIG_FILE,
+    OpenCodeBoxError,
+    ConfigError,
+    SessionError,
+    loadConfig,
+    setLogger,
+    selectRuntime,
+    generateContainerName,
+    buildDockerImage,
+    buildImage,
+    startSession,
+    planSession,
+    startFanout,
+    exportWorkspace,
+    listWorkspaceVolumes,
+    listSessions,
+    attachSession,
+    stopSession,
+    showSessionLogs,
+    pruneSessions,
+    diagnose,
+    syncBackOpenCodeFiles,
+    listCaches,
+    clearCaches
+} = require('../lib/opencodebox');
+const { COMPLETION_SHELLS, parseCommandLine, formatHelp, formatCommandHelp, completionScript } = require('../lib/cli');
+
+// Command line definition: commands, their arguments and options. Parsing,
+// --help and the completion scripts are generated from it (see lib/cli.js).
+const MODES = ['mount-ro', 'mount-rw', 'mount-review', 'worktree', 'gitcheckout'];
+
+// Options overriding a config option are validated with the config schema
+function configOption(name, config, option) {
+    return Object.assign({
+        name: name,
+        config: config,
+        validate: option.value ? CONFIG_SCHEMA[config].validate : undefined,
+        expected: option.value ? CONFIG_SCHEMA[config].description : undefined
+    }, option);
+}
+
+const isPositiveInteger = (value) => /^[1-9]\d*$/.test(value);
+
+const OPTIONS = [
+    configOption('mode', 'mode', { value: 'mode', choices: MODES, group: 'Modes',
+        description: 'Workspace mode, also given by the flags below (default: "mode" in the config files)' }),
+    { name: 'mount-ro', alias: { option: 'mode', value: 'mount-ro' }, group: 'Modes',
+        description: 'Mount the current workspace read-only, to examine code without changing it' },
+    { name: 'mount-rw', alias: { option: 'mode', value: 'mount-rw' }, group: 'Modes',
+        description: 'Mount the current workspace read-write, to change files directly' },
+    { name: 'mount-review', alias: { option: 'mode', value: 'mount-review' }, group: 'Modes',
+        description: 'Work on a private copy of the workspace, uncommitted files included, and choose which changes to apply on exit' },
+    { name: 'worktree', alias: { option: 'mode', value: 'worktree' }, group: 'Modes',
+        description: 'Work in a git worktree on a new branch opencodebox/worktree-<timestamp>, mounted read-write; its commits are listed on exit' },
+    { name: 'gitcheckout', alias: { option: 'mode', value: 'gitcheckout' }, group: 'Modes',
+        description: 'Clone the repository inside the container (needs access to the remote); unpushed work is exported to a local branch opencodebox/<timestamp> on exit' },
+
+    configOption('remote', 'remote', { value: 'name', group: 'Git',
+        description: 'Git remote to use (default: the branch\'s upstream, then origin)' }),
+    configOption('ref', 'ref', { value: 'ref', group: 'Git',
+        description: 'Branch, tag or commit to check out with --gitcheckout, or to start the --worktree branch from (default: the current branch, or the commit of a detached HEAD)' }),
+    configOption('full-history', 'fullHistory', { group: 'Git', description: 'Clone the full history instead of a shallow clone (--gitcheckout)' }),
+    configOption('submodules', 'submodules', { group: 'Git', description: 'Clone submodules too (--gitcheckout)' }),
+    configOption('lfs', 'lfs', { group: 'Git', description: 'Download Git LFS files (--gitcheckout)' }),
+    configOption('carry-changes', 'carryChanges', { group: 'Git',
+        description: 'Apply the host\'s uncommitted changes, untracked files included, to the --gitcheckout clone' }),
+    configOption('git-token-file', 'gitTokenFile', { value: 'path', file: true, group: 'Git',
+        description: 'File holding an HTTPS token for https:// remotes (--gitcheckout)' }),
+    configOption('git-token-env', 'gitTokenEnv', { value: 'VAR', group: 'Git',
+        description: 'Environment variable holding an HTTPS token for https:// remotes' }),
+    configOption('keep-workspace', 'keepWorkspace', { group: 'Git',
+        description: 'Keep the gitcheckout workspace volume (or the --worktree worktree) after the session ends' }),
+
+    configOption('network-policy', 'networkPolicy', { value: 'policy', choices: ['open', 'allowlist', 'none'], group: 'Sandbox',
+        description: 'Network egress: unrestricted (default), through an allowlist proxy, or no network at all' }),
+    configOption('runtime', 'runtime', { value: 'runtime', choices: ['auto', 'docker', 'podman'], group: 'Sandbox',
+        description: 'Container runtime to use (default auto: Docker, else Podman)' }),
+    configOption('profile', 'profile', { value: 'profile', choices: ['default', 'strict', 'relaxed'], group: 'Sandbox',
+        description: 'Runtime profile: strict adds limits, a read-only root filesystem, no sudo and a seccomp profile; relaxed suits heavy builds (more shared memory and open files)' }),
+    configOption('cpus', 'cpus', { value: 'n', group: 'Sandbox', description: 'Limit the CPUs available to the box (e.g. 2 or 1.5)' }),
+    configOption('memory', 'memory', { value: 'size', group: 'Sandbox', description: 'Limit the box\'s memory (e.g. 4g or 512m)' }),
+    configOption('pids-limit', 'pidsLimit', { value: 'n', group: 'Sandbox', description: 'Limit the number of processes in the box' }),
+    configOption('read-only', 'readOnlyRootfs', { group: 'Sandbox', description: 'Mount the image\'s root filesystem read-only (/tmp stays writable)' }),
+    configOption('publish', 'publish', { value: '[host:]port', list: true, group: 'Sandbox',
+        description: 'Publish a container port on localhost, e.g. 3000 or 8080:3000 (repeatable; prefix an address like 0.0.0.0: to listen elsewhere)' }),
+    configOption('auto-forward', 'autoForward', { group: 'Sandbox',
+        description: 'Forward ports of servers started in the box to localhost and print their URLs' }),
+
+    configOption('env', 'forwardEnv', { value: 'NAME[,NAME...]', list: true, group: 'Environment and OpenCode',
+        description: 'Forward host environment variables such as ANTHROPIC_API_KEY (repeatable; values are mounted as a file and masked in output)' }),
+    configOption('env-file', 'envFile', { value: 'path', file: true, group: 'Environment and OpenCode',
+        description: 'Forward the variables of a .env file' }),
+    configOption('opencode-version', 'opencodeVersion', { value: 'version', group: 'Environment and OpenCode',
+        description: 'Pin the opencode-ai version installed in the image (default latest)' }),
+    configOption('opencode-include', 'openCodeInclude', { value: 'pattern[,pattern...]', list: true, group: 'Environment and OpenCode',
+        description: 'Copy matching OpenCode files into the box even when excluded, e.g. auth.json (repeatable)' }),
+    configOption('opencode-exclude', 'openCodeExclude', { value: 'pattern[,pattern...]', list: true, group: 'Environment and OpenCode',
+        description: 'Keep matching OpenCode files out of the box, in addition to auth.json and mcp-auth.json (repeatable)' }),
+    configOption('keep-opencode-state', 'keepOpenCodeState', { group: 'Environment and OpenCode',
+        description: 'Keep OpenCode\'s sessions and data in a per-project volume, so later sessions can resume earlier conversations' }),
+    configOption('cache', 'caches', { value: 'name[,name...]', choices: ['npm', 'pip', 'go'], list: true, group: 'Environment and OpenCode',
+        description: 'Mount dependency caches (npm, pip, go) kept between sessions at the tools\' standard paths (repeatable)' }),
+    configOption('cache-scope', 'cacheScope', { value: 'scope', choices: ['shared', 'project'], group: 'Environment and OpenCode',
+        description: 'Share the caches between all projects (default) or keep one per project' }),
+    configOption('cache-max-size', 'cacheMaxSize', { value: 'size', group: 'Environment and OpenCode',
+        description: 'Empty a cache that grew past this size when the session ends (default 10g)' }),
+
+    { name: 'prompt', value: 'text', group: 'Task', description: 'The task to run OpenCode on' },
+    { name: 'prompt-file', value: 'path', file: true, group: 'Task', description: 'Read the task from a file ("-" reads stdin)' },
+    { name: 'count', value: 'n', validate: isPositiveInteger, expected: 'a positive integer', group: 'Task',
+        description: 'Number of boxes working on the --prompt task' },
+    { name: 'tasks', value: 'path', file: true, group: 'Task',
+        description: 'Start a box per line of the file (blank lines and # comments are skipped; "-" reads stdin)' },
+
+    { name: 'it', group: 'Other options', description: 'Open a shell in the running gitcheckout session instead (same as "shell")' },
+    { name: 'rebuild', group: 'Other options', description: 'Force rebuild the image (removes the existing one)' },
+    { name: 'dry-run', group: 'Other options',
+        description: 'Print the resolved container invocation (mounts, env vars, capabilities, name) without building or starting anything' },
+    { name: 'json', group: 'Other options', description: 'Print the result as JSON on stdout; log lines go to stderr' },
+    { name: 'follow', short: '-f', group: 'Other options', description: 'Keep streaming the output' },
+    { name: 'workspaces', group: 'Other options', description: 'Also remove kept workspace and review volumes' },
+    { name: 'help', short: '-h', group: 'Other options', description: 'Show this help message' },
+    { name: 'version', short: '-v', group: 'Other options', description: 'Show version information' }
+];
+
+// Options of the commands that start boxes; "fanout" always uses --gitcheckout
+const MODE_OPTIONS = ['mode', 'mount-ro', 'mount-rw', 'mount-review', 'worktree', 'gitcheckout'];
+const SESSION_OPTIONS = [
+    'remote', 'ref', 'full-history', 'submodules', 'lfs', 'carry-changes', 'git-token-file', 'git-token-env', 'keep-workspace',
+    'network-policy', 'runtime', 'profile', 'cpus', 'memory', 'pids-limit', 'read-only', 'publish', 'auto-forward',
+    'env', 'env-file', 'opencode-version', 'opencode-include', 'opencode-exclude', 'keep-opencode-state',
+    'cache', 'cache-scope', 'cache-max-size'
+];
+
+const COMMANDS = [
+    { name: 'start', summary: 'Start an interactive session for the repository in the current directory',
+        description: 'Start an interactive OpenCode session for the git repository in the current directory, in the mode given by --mode or one of its flags (or "mode" in the config files). "opencodebox --mount-rw" is short for "opencodebox start --mount-rw".',
+        options: MODE_OPTIONS.concat(SESSION_OPTIONS, ['it', 'rebuild', 'dry-run', 'json']) },
+    { name: 'run', summary: 'Run OpenCode headless on a task, for CI and cron jobs',
+        description: 'Run OpenCode headless on a task (no TTY, for CI and cron jobs): its output goes to stdout, the exit code is OpenCode\'s, and the mode hands back the result (a patch, commits or a branch).',
+        options: MODE_OPTIONS.concat(SESSION_OPTIONS, ['prompt', 'prompt-file', 'rebuild', 'dry-run', 'json']) },
+    { name: 'fanout', summary: 'Run several headless gitcheckout boxes at once, each on its own branch',
+        description: 'Run several headless gitcheckout boxes at once (at most 8), the same task --count times or one per line of a --tasks file. Each works on its own branch opencodebox/fanout-<id>-<n>, exported to the host for comparison when the box ends.',
+        options: SESSION_OPTIONS.concat(['count', 'tasks', 'prompt', 'prompt-file', 'rebuild', 'json']) },
+    { name: 'shell', aliases: ['attach'], summary: 'Open a shell in a running session',
+        description: 'Open a shell in a running session, the one started from this directory unless named.',
+        args: [{ name: 'name' }], options: ['runtime'] },
+    { name: 'ps', summary: 'List all sessions with project, mode, branch and status', options: ['runtime', 'json'] },
+    { name: 'stop', summary: 'Stop a running session',
+        description: 'Stop a running session, the one started from this directory unless named.',
+        args: [{ name: 'name' }], options: ['runtime'] },
+    { name: 'logs', summary: 'Show a session\'s output',
+        description: 'Show a session\'s output, the one started from this directory unless named.',
+        args: [{ name: 'name' }], options: ['runtime', 'follow'] },
+    { name: 'prune', summary: 'Remove containers, networks and volumes left by ended sessions', options: ['runtime', 'workspaces'] },
+    { name: 'build', summary: 'Build the image without starting a session',
+        description: 'Build the base image and the project\'s toolchain image, if it has one, without starting a session. Images are tagged with a hash of their inputs and only rebuilt when these change, or with --rebuild.',
+        options: ['runtime', 'opencode-version', 'rebuild', 'json'] },
+    { name: 'export', summary: 'Export unpushed work from a kept gitcheckout workspace volume into a local branch',
+        description: 'Export unpushed work from a kept gitcheckout workspace volume into a local branch (opencodebox/<timestamp>). Without a name, the only workspace volume is used.',
+        args: [{ name: 'workspace-volume' }], options: ['runtime', 'opencode-version'] },
+    { name: 'sync-back', summary: 'Copy files from the box\'s OpenCode directories to the host\'s',
+        description: 'Copy files from the box\'s OpenCode directories to the host\'s: config/<file> (~/.config/opencode) or share/<file> (~/.local/share/opencode), from this directory\'s running session or its kept OpenCode state.',
+        args: [{ name: 'path', required: true, variadic: true }], options: ['runtime', 'opencode-version'] },
+    { name: 'cache', summary: 'List the dependency cache volumes or remove them',
+        description: '"cache ls" lists the dependency cache volumes and their size, "cache clear" removes the cache volumes of the named (default: all) ecosystems.',
+        args: [{ name: 'action', required: true, choices: ['ls', 'clear'] }, { name: 'cache', variadic: true, choices: ['npm', 'pip', 'go'] }],
+        options: ['runtime', 'opencode-version', 'json'] },
+    { name: 'doctor', summary: 'Check the runtime, disk space, image, repository, credentials and OpenCode config',
+        description: 'Check the runtime, disk space, image, repository, credentials, OpenCode config and leftover resources, with a fix for each problem. Session options are taken into account, e.g. --gitcheckout checks the credentials for the remote.',
+        options: MODE_OPTIONS.concat(SESSION_OPTIONS, ['json']) },
+    { name: 'completion', summary: 'Print the shell completion script for bash, zsh or fish',
+        description: 'Print the shell completion script for bash, zsh or fish. Load it with: source <(opencodebox completion bash), opencodebox completion zsh > "${fpath[1]}/_opencodebox", or opencodebox completion fish > ~/.config/fish/completions/opencodebox.fish',
+        args: [{ name: 'shell', required: true, choices: Object.keys(COMPLETION_SHELLS) }], options: [] },
+    { name: 'help', summary: 'Show the help of a command', args: [{ name: 'command' }], options: [] }
+];
+COMMANDS.find(command => command.name === 'help').args[0].choices = COMMANDS.map(command => command.name);
+
+const CLI = {
+    program: 'opencodebox',
+    title: 'OpenCode Box - A secure Docker environment for AI-assisted development with OpenCode',
+    defaultCommand: 'start',
+    globalOptions: ['help', 'version'],
+    options: OPTIONS,
+    commands: COMMANDS,
+    sections: [
+        { title: 'Modes', rows: OPTIONS.filter(option => option.alias).map(option => [`--${option.name}`, option.description]) },
+        { title: 'Requirements', text: [
+            '- Docker or Podman installed and running',
+            '- Git repository (run from inside a git project)',
+            '- SSH agent with credentials loaded (only for --gitcheckout with an SSH remote; https:// remotes use a token or the git credential helper instead)'
+        ].join('\n') },
+        { title: 'Configuration files', rows: [
+            ['~/.config/opencodebox/config.json', 'Per-user defaults'],
+            [`<repo root>/${PROJECT_CONFIG_FILE}`, 'Per-project settings (can be committed)']
+        ], text: `Settings are merged as user < project < command line options. Supported options: ${Object.keys(CONFIG_SCHEMA).join(', ')}` },
+        { title: 'Examples', rows: [
+            ['opencodebox --mount-review', 'Work on a copy, review changes on exit'],
+            ['opencodebox --gitcheckout --ref main --memory=4g', 'Clone main into a box limited to 4 GB of memory'],
+            ['opencodebox run --worktree --prompt "fix the tests"', 'Run a task headless on a new branch'],
+            ['opencodebox shell', 'Open a shell in this directory\'s running session'],
+            ['opencodebox start --help', 'Show all session options']
+        ] }
+    ]
 };
 
+// Parse the command line into the command, its arguments, the config options
+// it overrides (merged over the config files by loadConfig) and the other flags
+function parseArguments(rawArgs) {
+    const { command, explicit, positionals, values } = parseCommandLine(CLI, rawArgs);
 
+    const options = {};
+    OPTIONS.filter(option => option.config && values[option.name] !== undefined).forEach(option => {
+        // Config files name modes without the leading dashes
+        options[option.config] = option.name === 'mode' ? `--${values.mode}` : values[option.name];
+    });
 
-// Argument parsing and validation functions
-function parseArguments() {
-    const args = process.argv.slice(2);
-    const modeFlags = ['--mount-ro', '--mount-rw', '--gitcheckout'];
-    
-    // Check for help and version flags first
-    const showHelp = args.includes('--help') || args.includes('-h');
-    const showVersion = args.includes('--version') || args.includes('-v');
-    const rebuild = args.includes('--rebuild');
-    const it = args.includes('--it');
-    
-    // If help or version is requested, return early without validation
-    if (showHelp || showVersion) {
-        return {
-            mode: null,
-            showHelp: showHelp,
-            showVersion: showVersion,
-            rebuild: false,
-            it: false
-        };
-    }
-    
-    // Check for invalid flags
-    const invalidFlags = args.filter(arg => 
-        arg.startsWith('--') && 
-        !modeFlags.includes(arg) && 
-        !['--help', '-h', '--version', '-v', '--rebuild', '--it'].includes(arg)
-    );
-    
-    if (invalidFlags.length > 0) {
-        log.error(`Invalid flag(s): ${invalidFlags.join(', ')}`);
-        console.log(`
-OpenCode Box - A secure Docker environment for AI-assisted development with OpenCode
-
-Usage: opencodebox <mode> [options]
-
-Modes (exactly one required):
-  --mount-ro      Mount current workspace as read-only
-  --mount-rw      Mount current workspace as read-write  
-  --gitcheckout   Clone repository inside container (default behavior)
-
-Other options:
-  --rebuild       Force rebuild Docker image (removes existing image)
-  --help, -h      Show this help message
-  --version, -v   Show version information
-`);
-        process.exit(1);
-    }
-    
-    // Find mode flags
-    const foundFlags = args.filter(arg => modeFlags.includes(arg));
-    
-    // Validate flag combinations
-    if (foundFlags.length === 0) {
-        log.error('No mode flag specified. Please use one of: --mount-ro, --mount-rw, --gitcheckout');
-        console.log(`
-OpenCode Box - A secure Docker environment for AI-assisted development with OpenCode
-
-Usage: opencodebox <mode> [options]
-
-Modes (exactly one required):
-  --mount-ro      Mount current workspace as read-only
-  --mount-rw      Mount current workspace as read-write  
-  --gitcheckout   Clone repository inside container (default behavior)
-
-Other options:
-  --rebuild       Force rebuild Docker image (removes existing image)
-  --help, -h      Show this help message
-  --version, -v   Show version information
-`);
-        process.exit(1);
-    }
-    
-    if (foundFlags.length > 1) {
-        log.error(`Multiple mode flags specified: ${foundFlags.join(', ')}. Please use only one mode flag.`);
-        console.log(`
-OpenCode Box - A secure Docker environment for AI-assisted development with OpenCode
-
-Usage: opencodebox <mode> [options]
-
-Modes (exactly one required):
-  --mount-ro      Mount current workspace as read-only
-  --mount-rw      Mount current workspace as read-write  
-  --gitcheckout   Clone repository inside container (default behavior)
-
-Other options:
-  --rebuild       Force rebuild Docker image (removes existing image)
-  --help, -h      Show this help message
-  --version, -v   Show version information
-`);
-        process.exit(1);
-    }
-    
     return {
-        mode: foundFlags[0],
-        showHelp: false,
-        showVersion: false,
-        rebuild: rebuild,
-        it: it
+        command: command,
+        explicit: explicit,
+        commandArgs: positionals,
+        options: options,
+        runOptions: { prompt: values.prompt, promptFile: values['prompt-file'], count: values.count, tasksFile: values.tasks },
+        showHelp: Boolean(values.help),
+        showVersion: Boolean(values.version),
+        it: Boolean(values.it),
+        rebuild: Boolean(values.rebuild),
+        dryRun: Boolean(values['dry-run']),
+        json: Boolean(values.json),
+        follow: Boolean(values.follow),
+        workspaces: Boolean(values.workspaces)
     };
 }
 
-// Security validation functions
-function validateRepositoryUrl(repoUrl) {
-    if (!repoUrl || typeof repoUrl !== 'string') {
-        throw new Error('Repository URL is required and must be a string');
+// The task of "run" (or "fanout"), from --prompt or --prompt-file ("-" reads stdin)
+function readPrompt(runOptions, command = 'run') {
+    if (runOptions.prompt && runOptions.promptFile) {
+        throw new ConfigError('Use either --prompt or --prompt-file, not both');
     }
-
-    // Remove any potential command injection characters
-    const sanitized = repoUrl.trim();
-
-    // Check for dangerous characters that could be used for command injection
-    const dangerousChars = /[;&|`$(){}[\]<>]/;
-    if (dangerousChars.test(sanitized)) {
-        throw new Error('Repository URL contains invalid characters');
+    if (runOptions.promptFile) {
+        try {
+            return fs.readFileSync(runOptions.promptFile === '-' ? 0 : runOptions.promptFile, 'utf8');
+        } catch (error) {
+            throw new ConfigError(`Failed to read the prompt file: ${error.message}`, { cause: error });
+        }
     }
+    if (!runOptions.prompt) {
+        throw new ConfigError(`"${command}" needs a task: --prompt "<text>" or --prompt-file <path>`);
+    }
+    return runOptions.prompt;
+}
 
-    // Validate URL format
-    try {
-        const parsedUrl = new URL(sanitized);
-
-        // Only allow specific protocols
-        if (!['https:', 'ssh:', 'git:'].includes(parsedUrl.protocol)) {
-            throw new Error('Only HTTPS, SSH, and Git protocols are allowed');
+// The tasks of "fanout": one per line of --tasks, or the --prompt task --count times
+function readFanoutTasks(runOptions) {
+    if (runOptions.tasksFile) {
+        if (runOptions.prompt || runOptions.promptFile || runOptions.count) {
+            throw new ConfigError('Use either --tasks or --count with --prompt/--prompt-file, not both');
         }
-
-        // Validate hostname for trusted Git providers
-        const trustedHosts = [
-            'github.com',
-            'gitlab.com',
-            'bitbucket.org',
-            'dev.azure.com',
-            'ssh.dev.azure.com'
-        ];
-
-        if (!trustedHosts.includes(parsedUrl.hostname)) {
-            throw new Error(`Untrusted hostname: ${parsedUrl.hostname}. Only ${trustedHosts.join(', ')} are allowed`);
+        let content;
+        try {
+            content = fs.readFileSync(runOptions.tasksFile === '-' ? 0 : runOptions.tasksFile, 'utf8');
+        } catch (error) {
+            throw new ConfigError(`Failed to read the tasks file: ${error.message}`, { cause: error });
         }
-
-        return sanitized;
-    } catch (urlError) {
-        // Try SSH format (git@github.com:user/repo.git)
-        const sshPattern = /^git@([a-zA-Z0-9.-]+):([a-zA-Z0-9._/-]+)\.git$/;
-        const sshMatch = sanitized.match(sshPattern);
-
-        if (sshMatch) {
-            const hostname = sshMatch[1];
-            const trustedSshHosts = ['github.com', 'gitlab.com', 'bitbucket.org', 'git-gogs.lan'];
-
-            if (!trustedSshHosts.includes(hostname)) {
-                throw new Error(`Untrusted SSH hostname: ${hostname}`);
-            }
-            return sanitized;
+        // Blank lines and # comments are skipped
+        const tasks = content.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        if (tasks.length === 0) {
+            throw new ConfigError(`No tasks found in ${runOptions.tasksFile}`);
         }
-
-        throw new Error('Invalid repository URL format');
-    }
-}
-
-function validateBranchName(branchName) {
-    if (!branchName || typeof branchName !== 'string') {
-        throw new Error('Branch name is required and must be a string');
+        return tasks;
     }
 
-    const sanitized = branchName.trim();
-
-    // Check for dangerous characters and git-specific invalid characters
-    const invalidChars = /[;&|`$(){}[\]<>~^:?*\\\s]/;
-    if (invalidChars.test(sanitized)) {
-        throw new Error('Branch name contains invalid characters');
-    }
-
-    // Additional git branch name validation
-    if (sanitized.startsWith('-') || sanitized.endsWith('.') || sanitized.includes('..')) {
-        throw new Error('Invalid branch name format');
+    if (!runOptions.count) {
+        throw new ConfigError('"fanout" needs --count <n> with --prompt/--prompt-file, or --tasks <file>');
     }
-
-    // Limit length to prevent buffer overflow attacks
-    if (sanitized.length > 250) {
-        throw new Error('Branch name too long');
-    }
-
-    return sanitized;
+    const prompt = readPrompt(runOptions, 'fanout');
+    return Array.from({ length: Number(runOptions.count) }, () => prompt);
 }
 
-function validateRepoName(repoName) {
-    if (!repoName || typeof repoName !== 'string') {
-        throw new Error('Repository name is required and must be a string');
-    }
+// Machine-readable output goes to stdout, everything else to stderr
+function printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
 
-    const sanitized = repoName.trim();
+// Log lines without colors on stderr, keeping stdout for --json output
+function logToStderr() {
+    setLogger({
+        info: (msg) => console.error(`[INFO] ${msg}`),
+        success: (msg) => console.error(`[SUCCESS] ${msg}`),
+        warning: (msg) => console.error(`[WARNING] ${msg}`),
+        error: (msg) => console.error(`[ERROR] ${msg}`)
+    });
+}
 
-    // Only allow alphanumeric, hyphens, underscores, and dots
-    const validPattern = /^[a-zA-Z0-9._-]+$/;
-    if (!validPattern.test(sanitized)) {
-        throw new Error('Repository name contains invalid characters');
-    }
+// Options without a value, kept on the first line of a printed command
+const BOOLEAN_RUN_OPTIONS = ['-it', '--rm', '--read-only'];
 
-    // Prevent directory traversal
-    if (sanitized.includes('..') || sanitized.startsWith('.')) {
-        throw new Error('Invalid repository name format');
-    }
+function shellQuote(arg) {
+    return /^[A-Za-z0-9_@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
 
-    // Limit length
-    if (sanitized.length > 100) {
-        throw new Error('Repository name too long');
+// Print a command the way it would be written in a script, one option per line
+function formatCommand(command, args) {
+    const lines = [[command]];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (i === 0 || BOOLEAN_RUN_OPTIONS.includes(arg)) {
+            lines[0].push(arg);
+        } else if (arg.startsWith('-') && i + 1 < args.length && !args[i + 1].startsWith('-')) {
+            lines.push([arg, args[++i]]);
+        } else {
+            lines.push([arg].concat(args.slice(i + 1)));
+            break;
+        }
     }
-
-    return sanitized;
+    return lines.map(line => line.map(shellQuote).join(' ')).join(' \\\n    ');
 }
 
-function generateContainerName() {
-    const projectName = path.basename(process.cwd()); // e.g., "my-project"
-    const currentPath = process.cwd(); // e.g., "/home/user/projects/my-project"
-    
-    // Create SHA1 hash of the full path for uniqueness
-    const pathHash = crypto.createHash('sha1').update(currentPath).digest('hex').substring(0, 8);
-    
-    // Sanitize project name (remove unsafe characters)
-    const sanitizedName = projectName.replace(/[^a-zA-Z0-9._-]/g, '_');
-    
-    return `opencode-box-${sanitizedName}-${pathHash}`;
+function printPlan(plan) {
+    const container = plan.container;
+    log.info('Dry run, nothing was built, created or started. The session would run:');
+    console.log(`\n${formatCommand(container.command, container.args)}\n`);
+    log.info(`Image: ${plan.image}`);
+    log.info(`Volumes created first: ${container.volumes.map(volume => `${volume.name} (${volume.role})`).join(', ')}`);
+    if (container.egressProxy) {
+        log.info(`Egress proxy: ${container.egressProxy.proxy} on network ${container.egressProxy.network}`);
+    }
+    container.forwardedPorts.forEach(port => {
+        log.info(`Port ${port.containerPort} forwarded to ${port.hostAddress}:${port.hostPort} once the box runs`);
+    });
 }
 
-function checkRequirements(mode) {
-    log.info('Checking system requirements...');
+function printTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    rows.forEach(row => console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()));
+}
 
-    // Check if Docker is installed and accessible
+// What a fan-out box left on its branch, compared with the current HEAD
+function describeBranch(branch) {
+    const git = (command) => execSync(`git ${command}`, { encoding: 'utf8', stdio: 'pipe', timeout: 10000 }).trim();
     try {
-        const dockerVersion = execSync('docker --version', { encoding: 'utf8', timeout: 5000 });
-        log.info(`Docker found: ${dockerVersion.trim()}`);
+        git(`rev-parse --verify --quiet refs/heads/${branch}`);
     } catch (error) {
-        log.error('Docker is not installed, not in PATH, or not accessible');
-        log.error('Please install Docker and ensure it\'s running');
-        process.exit(1);
+        return null;
     }
-
-    // Check Docker daemon is running
     try {
-        execSync('docker info', { stdio: 'ignore', timeout: 5000 });
-        log.info('Docker daemon is running');
+        return { commits: Number(git(`rev-list --count HEAD..${branch}`)), diffStat: git(`diff --shortstat HEAD...${branch}`) };
     } catch (error) {
-        log.error('Docker daemon is not running. Please start Docker');
-        process.exit(1);
+        return { commits: null, diffStat: '' };
     }
+}
 
-    // Check if we're in a git repository
-    try {
-        execSync('git rev-parse --git-dir', { stdio: 'ignore', timeout: 5000 });
-        log.info('Git repository detected');
-    } catch (error) {
-        log.error('Not in a git repository. Please run opencodebox from inside a git project.');
-        process.exit(1);
+// Start the boxes of "fanout", print a line as each one ends and a summary once all have
+async function runFanout(config, tasks, args) {
+    const sessions = startFanout({ config: config, tasks: tasks, rebuild: args.rebuild });
+    const firstLine = (task) => {
+        const line = task.split('\n')[0];
+        return line.length > 60 ? `${line.substring(0, 57)}...` : line;
+    };
+
+    log.info(`Started ${sessions.length} box(es), each on its own branch`);
+    if (!args.json) {
+        printTable([['#', 'CONTAINER', 'BRANCH', 'TASK']].concat(sessions.map((session, index) =>
+            [String(index + 1), session.name || '-', session.branch || '-', firstLine(tasks[index])])));
+    }
+    const logged = sessions.find(session => session.logFile);
+    if (logged) {
+        log.info(`Their output goes to ${path.join(path.dirname(logged.logFile), '<#>.log')}`);
     }
 
-    // Only check SSH requirements for gitcheckout mode
-    if (mode === '--gitcheckout') {
-        // Check SSH agent or credentials
-        if (!process.env.SSH_AUTH_SOCK) {
-            log.error('SSH agent not found. Please start ssh-agent and add your SSH keys.');
-            if (process.platform === 'darwin') {
-                log.info('On macOS, try: eval "$(ssh-agent -s)" && ssh-add --apple-use-keychain ~/.ssh/id_rsa');
-            } else {
-                log.info('Run: eval "$(ssh-agent -s)" && ssh-add ~/.ssh/id_rsa');
-            }
-            log.info('Verify keys are loaded with: ssh-add -l');
-            process.exit(1);
-        }
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => {
+            log.info(`Received ${signal}, stopping all boxes...`);
+            sessions.forEach(session => {
+                try {
+                    session.stop();
+                } catch (stopError) {
+                    log.warning(`Failed to stop ${session.name} gracefully`);
+                }
+            });
+        });
+    });
 
-        // Verify SSH agent is accessible
-        try {
-            if (!fs.existsSync(process.env.SSH_AUTH_SOCK)) {
-                throw new Error('SSH socket does not exist');
-            }
-            log.info('SSH agent is accessible');
-        } catch (error) {
-            log.error(`SSH agent socket is not accessible: ${error.message}`);
-            if (process.platform === 'darwin') {
-                log.info('On macOS, SSH agent issues are common. Try restarting your terminal or running:');
-                log.info('eval "$(ssh-agent -s)" && ssh-add --apple-use-keychain');
-            } else {
-                log.info('Try: eval "$(ssh-agent -s)" && ssh-add ~/.ssh/id_rsa');
-            }
-            log.info('Verify keys are loaded with: ssh-add -l');
-            log.info('Test GitHub access with: ssh -T git@github.com');
-            process.exit(1);
-        }
+    const results = await Promise.all(sessions.map((session, index) => session.exited.then(
+        code => {
+            (code === 0 ? log.success : log.error)(`Box ${index + 1} of ${sessions.length} ended with exit code ${code}`);
+            return { exitCode: code, error: null };
+        },
+        error => {
+            log.error(`Box ${index + 1} of ${sessions.length} failed: ${error.message}`);
+            return { exitCode: null, error: error.message };
+        })));
+
+    const boxes = sessions.map((session, index) => {
+        const branch = session.branch && describeBranch(session.branch);
+        return {
+            task: tasks[index],
+            name: session.name,
+            branch: branch ? session.branch : null,
+            commits: branch ? branch.commits : null,
+            diffStat: branch ? branch.diffStat : '',
+            exitCode: results[index].exitCode,
+            error: results[index].error,
+            logFile: session.logFile
+        };
+    });
+    process.exitCode = boxes.every(box => box.exitCode === 0) ? 0 : 1;
 
-        // Verify SSH agent has keys loaded
-        try {
-            const sshKeys = execSync('ssh-add -l', { encoding: 'utf8', timeout: 5000 });
-            if (sshKeys.includes('no identities') || sshKeys.trim() === '') {
-                throw new Error('No SSH keys loaded in agent');
-            }
-            log.info('SSH keys are loaded in agent');
-        } catch (error) {
-            log.error('SSH agent has no keys loaded');
-            if (process.platform === 'darwin') {
-                log.info('Add keys with: ssh-add --apple-use-keychain ~/.ssh/id_rsa');
-            } else {
-                log.info('Add keys with: ssh-add ~/.ssh/id_rsa');
-            }
-            log.info('Verify with: ssh-add -l');
-            process.exit(1);
-        }
-    } else {
-        log.info('SSH requirements skipped for mount mode');
+    if (args.json) {
+        printJson({ repository: sessions[0].repository, image: sessions[0].image, boxes: boxes });
+        return;
     }
 
-    log.success('All requirements satisfied');
+    console.log('');
+    printTable([['#', 'EXIT', 'BRANCH', 'COMMITS', 'CHANGES', 'LOG']].concat(boxes.map((box, index) => [
+        String(index + 1),
+        box.exitCode === null ? 'failed' : String(box.exitCode),
+        box.branch || '(no changes)',
+        box.commits === null ? '-' : String(box.commits),
+        box.diffStat || '-',
+        box.logFile || '-'
+    ])));
+
+    const branches = boxes.filter(box => box.branch).map(box => box.branch);
+    if (branches.length > 0) {
+        console.log('');
+        log.info(`Inspect a result: git log -p HEAD..${branches[0]}`);
+        if (branches.length > 1) {
+            log.info(`Compare two results: git diff ${branches[0]} ${branches[1]}`);
+        }
+    }
 }
 
-function getRepoInfo() {
-    try {
-        // Get remote URL
-        const remoteUrl = execSync('git config --get remote.origin.url', { encoding: 'utf8' }).trim();
-
-        // Get current branch
-        const currentBranch = execSync('git branch --show-current', { encoding: 'utf8' }).trim();
-
-        // Get repository name from URL
-        const repoName = path.basename(remoteUrl, '.git');
-
-        // Validate all inputs
-        const validatedUrl = validateRepositoryUrl(remoteUrl);
-        const validatedBranch = validateBranchName(currentBranch);
-        const validatedName = validateRepoName(repoName);
+function printCaches(config, json = false) {
+    const caches = listCaches(config);
+    if (json) {
+        printJson(caches);
+        return;
+    }
+    if (caches.length === 0) {
+        log.info('No dependency caches found');
+        return;
+    }
 
-        return {
-            url: validatedUrl,
-            name: validatedName,
-            branch: validatedBranch
-        };
-    } catch (error) {
-        log.error(`Failed to get repository information: ${error.message}`);
-        process.exit(1);
+    const rows = [['NAME', 'CACHE', 'PROJECT', 'SIZE']].concat(caches.map(c =>
+        [c.name, c.cache, c.project || '(shared)', c.size === null ? '?' : `${(c.size / 1024 / 1024).toFixed(1)}MB`]));
+    printTable(rows);
+    if (caches.every(c => c.size === null)) {
+        log.info('Sizes are shown once an image is built, e.g. by "opencodebox build"');
     }
 }
 
-function buildDockerImage(forceRebuild = false) {
-    const imageName = 'opencode-box';
-
-    // If force rebuild is requested, remove existing image first
-    if (forceRebuild) {
-        log.info('Force rebuild requested, removing existing Docker image...');
-        try {
-            // Check if image exists and remove it
-            const images = execSync(`docker images ${imageName} --format "{{.Repository}}"`, { encoding: 'utf8' });
-            if (images.includes(imageName)) {
-                log.info(`Removing existing Docker image '${imageName}'...`);
-                execSync(`docker rmi ${imageName} --force`, { stdio: 'inherit' });
-                log.success('Existing Docker image removed');
-            } else {
-                log.info(`No existing Docker image '${imageName}' found, proceeding with fresh build`);
-            }
-        } catch (error) {
-            log.warning('Failed to remove existing Docker image, proceeding with build anyway');
-        }
+function printSessions(json = false) {
+    const sessions = listSessions(true);
+    if (json) {
+        printJson(sessions);
+        return;
     }
-
-    // Check if image exists (only if not forcing rebuild)
-    if (!forceRebuild) {
-        try {
-            const images = execSync(`docker images ${imageName} --format "{{.Repository}}"`, { encoding: 'utf8' });
-            if (images.includes(imageName)) {
-                log.info(`Docker image '${imageName}' already exists, skipping build (use --rebuild to force rebuild)`);
-                return;
-            }
-        } catch (error) {
-            // Image doesn't exist, proceed with build
-        }
+    if (sessions.length === 0) {
+        log.info('No OpenCode Box sessions found');
+        return;
     }
 
-    log.info('Building Docker image...');
-    try {
-        const dockerfilePath = path.join(__dirname, '..', 'Dockerfile');
-        const contextPath = path.dirname(dockerfilePath);
+    const rows = [['NAME', 'PROJECT', 'MODE', 'BRANCH', 'STATUS']].concat(
+        sessions.map(s => [s.name, s.project, s.mode.replace(/^--/, ''), s.branch, s.status]));
+    printTable(rows);
+}
 
-        execSync(`docker build -t ${imageName} "${contextPath}"`, {
-            stdio: 'inherit',
-            cwd: contextPath
-        });
-        log.success('Docker image built successfully');
-    } catch (error) {
-        log.error('Failed to build Docker image');
-        process.exit(1);
+// Print each finding with its suggested fix; returns whether nothing failed
+function printDiagnostics(findings, json = false) {
+    const errors = findings.filter(finding => finding.status === 'error').length;
+    const warnings = findings.filter(finding => finding.status === 'warning').length;
+    if (json) {
+        printJson({ ok: errors === 0, errors: errors, warnings: warnings, findings: findings });
+        return errors === 0;
     }
-}
 
-function findOpenCodeConfigs() {
-    const homeDir = os.homedir();
-    const potentialPaths = [
-        path.join(homeDir, '.local', 'share', 'opencode'),
-        path.join(homeDir, '.config', 'opencode'),
-        path.join(homeDir, '.shared', 'opencode'), // Alternative path mentioned by user
-        path.join(homeDir, '.opencode'),
-        path.join(homeDir, '.local', 'opencode'),
-        path.join(homeDir, '.config', 'opencode-ai')
-    ];
-
-    const foundConfigs = [];
-
-    potentialPaths.forEach(configPath => {
-        if (fs.existsSync(configPath)) {
-            log.success(`Found OpenCode config at: ${configPath}`);
-            foundConfigs.push(configPath);
+    const logByStatus = { ok: log.success, warning: log.warning, error: log.error, skipped: log.info };
+    findings.forEach(finding => {
+        logByStatus[finding.status](`${finding.check}: ${finding.message}`);
+        if (finding.fix && finding.status !== 'ok') {
+            console.log(`    Fix: ${finding.fix}`);
         }
     });
 
-    if (foundConfigs.length === 0) {
-        log.warning('No OpenCode configuration directories found');
-    }
-
-    return {
-        localShare: foundConfigs.find(p => p.includes('.local/share/opencode')),
-        config: foundConfigs.find(p => p.includes('.config/opencode')),
-        alternative: foundConfigs.find(p => p.includes('.shared/opencode')),
-        all: foundConfigs
-    };
-} function runContainer(repoInfo, mode) {
-    // Generate container name and timestamp for all modes
-    let containerName;
-    const timestamp = Date.now(); // Define timestamp for all modes
-    
-    if (mode === '--gitcheckout') {
-        // Consistent name for gitcheckout (reusable)
-        containerName = generateContainerName();
+    console.log('');
+    if (errors + warnings === 0) {
+        log.success('Everything looks good');
     } else {
-        // Mount modes get timestamp for multiple instances
-        const baseName = generateContainerName().replace(/-[^-]+$/, ''); // Remove existing hash
-        containerName = `${baseName}-${timestamp}`;
+        (errors > 0 ? log.error : log.warning)(`${errors} error(s), ${warnings} warning(s)`);
     }
+    return errors === 0;
+}
 
-    log.info(`Starting container with secure credential forwarding in ${mode} mode...`);
-
-    const dockerArgs = ['run', '-it']; // Always allocate TTY for OpenCode functionality
-    
-    // Add --rm for all modes to ensure automatic cleanup when container exits
-    dockerArgs.push('--rm');  // --rm ensures automatic cleanup when container exits
-
-    // Track if container was started for cleanup purposes
-    let containerStarted = false;
-    
-    dockerArgs.push(
-        '--name', containerName,
-        // Security hardening
-        '--security-opt', 'no-new-privileges:true',  // Prevent privilege escalation
-        '--cap-drop', 'ALL',  // Drop all capabilities
-        '--cap-add', 'DAC_OVERRIDE',  // Only add necessary capabilities for file access
-        '--cap-add', 'SETGID',  // Add capability for SSH socket access
-        '--cap-add', 'SETUID',  // Add capability for user switching if needed
-        '--cap-add', 'CHOWN',   // Add capability for changing file ownership
-        // Network security
-        '--network', 'bridge'  // Use default bridge network
-    );
-
-    // Only add SSH configuration for gitcheckout mode
-    if (mode === '--gitcheckout') {
-        dockerArgs.push(
-            // SSH and Git configuration - mount SSH socket and directory
-            '-v', `${process.env.SSH_AUTH_SOCK}:/ssh-agent`,  // Mount to a predictable path
-            '-e', 'SSH_AUTH_SOCK=/ssh-agent'  // Set the socket path inside container
-        );
-    }
-
-    // Add environment variables (validated inputs)
-    dockerArgs.push(
-        '-e', `REPO_URL=${repoInfo.url}`,
-        '-e', `REPO_NAME=${repoInfo.name}`,
-        '-e', `REPO_BRANCH=${repoInfo.branch}`,
-        '-e', `WORKSPACE_MODE=${mode}`  // Pass mode to entrypoint script
-    );
-
-    // SSH access is handled via SSH agent forwarding only
-    // No SSH directory mounting for security reasons
-
-    // Conditionally mount git config if it exists
-    const gitConfig = path.join(os.homedir(), '.gitconfig');
-    if (fs.existsSync(gitConfig)) {
-        dockerArgs.push('-v', `${gitConfig}:/home/node/.gitconfig:ro`);
-    }
-
-    // Find and copy OpenCode config files from host to container
-    const openCodeConfigs = findOpenCodeConfigs();
-
-    // Mount host config directories as read-only so they can be copied inside container
-    if (openCodeConfigs.localShare) {
-        dockerArgs.push('-v', `${openCodeConfigs.localShare}:/tmp/host-opencode-local-share:ro`);
-        dockerArgs.push('-e', 'HOST_OPENCODE_LOCAL_SHARE=/tmp/host-opencode-local-share');
-        log.info(`Will copy OpenCode local/share config from: ${openCodeConfigs.localShare}`);
-    }
-
-    if (openCodeConfigs.config) {
-        dockerArgs.push('-v', `${openCodeConfigs.config}:/tmp/host-opencode-config:ro`);
-        dockerArgs.push('-e', 'HOST_OPENCODE_CONFIG=/tmp/host-opencode-config');
-        log.info(`Will copy OpenCode config from: ${openCodeConfigs.config}`);
-    }
-
-    if (openCodeConfigs.all.length === 0) {
-        log.warning('No OpenCode configurations found on host - container will start with default settings');
-    }
-
-    // Handle workspace mounting based on mode
-    const currentDir = process.cwd();
-    const stateVolume = `opencode-box-state-${timestamp}`;
-
-    dockerArgs.push('-v', `${stateVolume}:/home/node/.local/state`);
-
-    if (mode === '--mount-ro') {
-        // Mount current directory as read-only
-        dockerArgs.push('-v', `${currentDir}:/workspace:ro`);
-        log.info(`Mounting workspace as read-only: ${currentDir}`);
-        containerStarted = true; // Mark that container was started
-    } else if (mode === '--mount-rw') {
-        // Mount current directory as read-write
-        dockerArgs.push('-v', `${currentDir}:/workspace:rw`);
-        log.info(`Mounting workspace as read-write: ${currentDir}`);
-        containerStarted = true; // Mark that container was started
-    } else if (mode === '--gitcheckout') {
-        // Use dedicated volume for git checkout mode (original behavior)
-        const workspaceVolume = `opencode-box-workspace-${timestamp}`;
-        dockerArgs.push('-v', `${workspaceVolume}:/workspace`);
-        log.info('Using isolated workspace volume for git checkout');
-        containerStarted = true; // Mark that container was started
-    }
-
-    // Add the image and command
-    dockerArgs.push('opencode-box', '/app/entrypoint.sh');
+// Main execution
+async function main() {
+    // "run" leaves stdout to OpenCode's output, --json to the JSON result;
+    // decided before parsing so that usage errors go to stderr too
+    const rawArgs = process.argv.slice(2);
+    if (rawArgs.includes('--json') || rawArgs[0] === 'run') {
+        logToStderr();
+    }
+    const args = parseArguments(rawArgs);
+
+    // Help of a command ("opencodebox run --help", "opencodebox help run") or the overview
+    if (args.showHelp || args.command === 'help') {
+        const command = args.command === 'help' ? args.commandArgs[0] : args.explicit && args.command;
+        console.log(command ? formatCommandHelp(CLI, command) : formatHelp(CLI));
+        return;
+    }
 
-    try {
-        log.info(`Starting OpenCode environment...`);
-        log.info(`Repository: ${repoInfo.name} (${repoInfo.branch})`);
+    if (args.showVersion) {
+        console.log(`opencodebox version ${PACKAGE_VERSION}`);
+        return;
+    }
 
-        const child = spawn('docker', dockerArgs, {
-            stdio: 'inherit',
-            detached: false
-        });
+    // Runs every check, including loading the config files, and reports them all
+    if (args.command === 'doctor') {
+        process.exitCode = printDiagnostics(diagnose(args.options), args.json) ? 0 : 1;
+        return;
+    }
 
-        child.on('exit', (code) => {
-            if (code === 0) {
-                log.success('OpenCode Box session completed successfully');
-            } else {
-                log.error(`OpenCode Box session ended with exit code ${code}`);
-            }
-            
-            // Clean up temporary volumes (only if container was started)
-            if (containerStarted) {
-                const volumes = [stateVolume];
-                
-                // Add workspace volume only for gitcheckout mode
-                if (mode === '--gitcheckout') {
-                    volumes.push(workspaceVolume);
-                }
-                
-                volumes.forEach(volume => {
-                    try {
-                        execSync(`docker volume rm ${volume}`, { stdio: 'pipe', timeout: 10000 });
-                        log.info(`Cleaned up temporary volume: ${volume}`);
-                    } catch (cleanupError) {
-                        log.warning(`Failed to clean up volume ${volume}: ${cleanupError.message}`);
-                    }
-                });
-            }
+    // Session management commands only talk to docker
+    const sessionCommands = {
+        ps: () => printSessions(args.json),
+        shell: () => attachSession(args.commandArgs[0]),
+        stop: () => stopSession(args.commandArgs[0]),
+        logs: () => showSessionLogs(args.commandArgs[0], args.follow),
+        prune: () => pruneSessions(args.workspaces)
+    };
+    if (sessionCommands[args.command]) {
+        try {
+            selectRuntime(loadConfig(args.options, { quiet: true }).runtime);
+            sessionCommands[args.command]();
+        } catch (error) {
+            throw error instanceof OpenCodeBoxError
+                ? error
+                : new SessionError(`Failed to run "${args.command}": ${error.message}`, { cause: error });
+        }
+        return;
+    }
 
-        });
+    // Print a completion script, e.g. source <(opencodebox completion bash)
+    if (args.command === 'completion') {
+        process.stdout.write(completionScript(CLI, args.commandArgs[0]));
+        return;
+    }
 
-        // Handle process termination gracefully
-        process.on('SIGINT', () => {
-            log.info('Received SIGINT, stopping container...');
-            try {
-                execSync(`docker stop ${containerName}`, { stdio: 'pipe', timeout: 10000 });
-            } catch (stopError) {
-                log.warning('Failed to stop container gracefully');
+    // Merge config files with CLI flags (user < project < CLI)
+    const config = loadConfig(args.options);
+    selectRuntime(config.runtime);
+
+    // Export a kept or leftover gitcheckout workspace volume into the host repository
+    if (args.command === 'export') {
+        let workspaceVolume = args.commandArgs[0];
+        if (!workspaceVolume) {
+            const volumes = listWorkspaceVolumes();
+            if (volumes.length !== 1) {
+                log.error(volumes.length === 0
+                    ? 'No gitcheckout workspace volumes found'
+                    : 'Multiple workspace volumes found, please name one:');
+                volumes.forEach(volume => console.log(`  ${volume}`));
+                process.exit(1);
             }
-        });
+            workspaceVolume = volumes[0];
+        }
+        if (!/^opencode-box-workspace-\d+$/.test(workspaceVolume)) {
+            log.error(`Invalid workspace volume name: ${workspaceVolume}`);
+            process.exit(1);
+        }
+        const imageReference = buildDockerImage(false, config);
+        process.exit(exportWorkspace(workspaceVolume, imageReference) ? 0 : 1);
+    }
+
+    // List or remove the dependency cache volumes
+    if (args.command === 'cache') {
+        const [action, ...names] = args.commandArgs;
+        if (action === 'ls' && names.length === 0) {
+            printCaches(config, args.json);
+        } else if (action === 'clear') {
+            clearCaches(names);
+        } else {
+            throw new ConfigError('"cache ls" takes no cache names', { hints: ['Run "opencodebox cache --help" for its arguments and options'] });
+        }
+        return;
+    }
 
-        process.on('SIGTERM', () => {
-            log.info('Received SIGTERM, stopping container...');
-            try {
-                execSync(`docker stop ${containerName}`, { stdio: 'pipe', timeout: 10000 });
-            } catch (stopError) {
-                log.warning('Failed to stop container gracefully');
-            }
-        });
-    } catch (error) {
-        log.error('Failed to run container');
-        console.error(error.message);
-        process.exit(1);
+    // Copy chosen OpenCode files from the box (or the kept OpenCode state) to the host
+    if (args.command === 'sync-back') {
+        syncBackOpenCodeFiles(args.commandArgs, config, buildDockerImage(false, config));
+        return;
     }
-}
 
-// Main execution
-function main() {
-    // Parse and validate arguments
-    const args = parseArguments();
-    
-    // Handle help and version flags
-    if (args.showHelp) {
-        console.log(`
-OpenCode Box - A secure Docker environment for AI-assisted development with OpenCode
-
-Usage: opencodebox <mode> [options]
-
-Modes (exactly one required):
-  --mount-ro      Mount current workspace as read-only
-  --mount-rw      Mount current workspace as read-write  
-  --gitcheckout   Clone repository inside container (default behavior)
-
-Other options:
-  --it            Get interactive shell in existing gitcheckout container
-  --rebuild       Force rebuild Docker image (removes existing image)
-  --help, -h      Show this help message
-  --version, -v   Show version information
-
-Requirements:
-  - Docker installed and running
-  - Git repository (run from inside a git project)
-  - SSH agent with credentials loaded (only for --gitcheckout mode)
-
-Examples:
-  cd /path/to/your/git/project
-  opencodebox --mount-ro              # Mount workspace read-only
-  opencodebox --mount-rw              # Mount workspace read-write
-  opencodebox --gitcheckout           # Clone repo inside container
-  opencodebox --gitcheckout --it       # Get interactive shell in existing container
-  opencodebox --mount-ro --rebuild    # Force rebuild image and mount read-only
-
-Mode Details:
-  --mount-ro:  Directly mounts your current workspace into the container as read-only.
-               Use this when you want to examine code without making changes.
-               No SSH requirements - works with any git repository.
-               
-  --mount-rw:  Directly mounts your current workspace into the container as read-write.
-               Use this when you want to modify files directly in your workspace.
-               No SSH requirements - works with any git repository.
-               
-  --gitcheckout: Clones the repository inside the container using the current branch.
-                This provides an isolated environment that doesn't affect your host files.
-                Requires SSH agent with GitHub access for repository cloning.
-
-Rebuild Option:
-  --rebuild:   Forces removal and rebuild of the Docker image. This is useful when
-                you want to update OpenCode or its dependencies to the latest versions.
-                The existing image will be completely removed and rebuilt from scratch.
-`);
+    // Build (or find up to date) the base and project images without starting a session
+    if (args.command === 'build') {
+        const image = buildImage(config, { rebuild: args.rebuild });
+        if (args.json) {
+            printJson({ image: image });
+        } else {
+            log.success(`Image ready: ${image}`);
+        }
         return;
     }
 
-    if (args.showVersion) {
-        console.log('opencodebox version 1.4.1');
+    // Several headless gitcheckout boxes, one per task, see "fanout"
+    if (args.command === 'fanout') {
+        const tasks = readFanoutTasks(args.runOptions);
+        await runFanout(Object.assign({}, config, { mode: '--gitcheckout' }), tasks, args);
         return;
     }
 
+    // Headless session on a prompt, see "run"
+    const prompt = args.command === 'run' ? readPrompt(args.runOptions) : undefined;
+
+    if (!config.mode && (args.json || prompt)) {
+        throw new ConfigError('No mode flag specified. Please use one of: --mount-ro, --mount-rw, --mount-review, --worktree, --gitcheckout');
+    }
+    if (!config.mode) {
+        log.error('No mode flag specified. Please use one of: --mount-ro, --mount-rw, --mount-review, --worktree, --gitcheckout');
+        log.info(`Or set a default "mode" in ${PROJECT_CONFIG_FILE} or ${USER_CONFIG_PATH}`);
+        console.log(`\n${formatHelp(CLI)}\n`);
+        process.exit(1);
+    }
+
     // Set terminal title for better user experience
     const projectName = path.basename(process.cwd());
-    const modeEmoji = args.mode === '--mount-ro' ? '🔒' : 
-                     args.mode === '--mount-rw' ? '✏️' : 
-                     args.mode === '--gitcheckout' ? '🐙' : '📦';
+    const modeEmoji = config.mode === '--mount-ro' ? '🔒' : 
+                     config.mode === '--mount-rw' ? '✏️' : 
+                     config.mode === '--mount-review' ? '🔍' : 
+                     config.mode === '--worktree' ? '🌿' : 
+                     config.mode === '--gitcheckout' ? '🐙' : '📦';
     
     // Set terminal title if supported
     if (process.platform === 'linux' && process.env.TERM) {
         try {
-            execSync(`echo -ne "\\e]0;${modeEmoji} OpenCode Box: ${projectName} (${args.mode})\\a"`, { stdio: 'pipe' });
+            execSync(`echo -ne "\\e]0;${modeEmoji} OpenCode Box: ${projectName} (${config.mode})\\a"`, { stdio: 'pipe' });
         } catch (error) {
             // Fallback if echo fails
         }
     }
 
-    log.info(`Starting OpenCode Box in ${args.mode} mode...`);
-
-    // Handle --it flag (exec into existing gitcheckout container)
-    if (args.it && args.mode === '--gitcheckout') {
-        const containerName = generateContainerName();
-        
-        // Check if container exists and is running
-        try {
-            const containerInfo = execSync(`docker ps --filter "name=${containerName}" --format "{{.Names}}"`, { encoding: 'utf8' });
-            if (containerInfo.includes(containerName)) {
-                log.info(`Found existing container: ${containerName}`);
-                log.info('Executing interactive shell in container...');
-                execSync(`docker exec -it ${containerName} /bin/bash`, { stdio: 'inherit' });
-                return;
-            } else {
-                log.error(`No running container found: ${containerName}`);
-                log.info('Start a container first with: opencodebox --gitcheckout');
-                process.exit(1);
-            }
-        } catch (error) {
-            log.error('Failed to check for existing container');
-            process.exit(1);
+    // Resolve everything without starting the session
+    if (args.dryRun) {
+        if (args.it) {
+            throw new ConfigError('--dry-run cannot be combined with --it');
+        }
+        const plan = planSession({ config: config, prompt: prompt });
+        if (args.json) {
+            printJson(Object.assign({ dryRun: true }, plan));
+        } else {
+            printPlan(plan);
         }
+        return;
+    }
+
+    log.info(`Starting OpenCode Box in ${config.mode} mode...`);
+
+    // Handle --it flag (exec into existing gitcheckout container, same as "attach")
+    if (args.it && config.mode === '--gitcheckout') {
+        attachSession(generateContainerName());
+        return;
     }
 
-    // Check requirements
-    checkRequirements(args.mode);
+    // Requirements, repository, image build and container run; see startSession()
+    const session = startSession({ config: config, rebuild: args.rebuild, prompt: prompt });
+    const ports = [];
+    session.on('port', port => ports.push(port));
+    if (prompt && args.json) {
+        // Keep stdout for the JSON result
+        session.on('output', chunk => process.stderr.write(chunk));
+    }
 
-    // Get repository information (needed for all modes)
-    const repoInfo = getRepoInfo();
+    // Handle process termination gracefully
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => {
+            log.info(`Received ${signal}, stopping container...`);
+            try {
+                session.stop();
+            } catch (stopError) {
+                log.warning('Failed to stop container gracefully');
+            }
+        });
+    });
 
-    // Build Docker image if needed
-    buildDockerImage(args.rebuild);
+    const exitCode = await session.exited;
+    process.exitCode = exitCode === null ? 1 : exitCode;
+
+    if (args.json) {
+        printJson({
+            requirements: session.requirements,
+            repository: session.repository,
+            image: session.image,
+            session: {
+                name: session.name,
+                mode: config.mode.replace(/^--/, ''),
+                headless: Boolean(prompt),
+                exitCode: exitCode,
+                auditLog: session.auditLog,
+                worktree: session.worktree,
+                ports: ports
+            }
+        });
+    }
+}
 
-    // Run container
-    runContainer(repoInfo, args.mode);
+// Run the tool; the tests require this file for its command line definition
+if (require.main === module) {
+    main().catch(error => {
+        log.error(error.message);
+        (error.hints || []).forEach(hint => log.info(hint));
+        if (process.argv.includes('--json')) {
+            printJson({ error: { code: error.code || 'EOPENCODEBOX', message: error.message, hints: error.hints || [] } });
+        }
+        process.exit(1);
+    });
 }
 
-// Run the tool
-main();
+module.exports = { CLI, parseArguments };
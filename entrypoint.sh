@@ -28,11 +28,22 @@ print_warning() {
     echo -e "${YELLOW}[WARNING]${NC} $1"
 }
 
+# Headless runs ("opencodebox run") keep stdout for OpenCode's output
+PROMPT_FILE=/run/opencodebox/prompt
+if [ -f "$PROMPT_FILE" ]; then
+    exec 3>&1 1>&2
+fi
+
 print_info "OpenCode Box container started"
 
-# Validate environment variables
-if [ -z "$REPO_URL" ] || [ -z "$REPO_NAME" ] || [ -z "$REPO_BRANCH" ]; then
-    print_error "Missing required environment variables (REPO_URL, REPO_NAME, REPO_BRANCH)"
+# Validate environment variables (mount modes may run without a remote or branch)
+if [ -z "$REPO_NAME" ]; then
+    print_error "Missing required environment variable REPO_NAME"
+    exit 1
+fi
+
+if [ "$WORKSPACE_MODE" = "--gitcheckout" ] && { [ -z "$REPO_URL" ] || [ -z "$REPO_REF" ]; }; then
+    print_error "Missing required environment variables (REPO_URL, REPO_REF)"
     exit 1
 fi
 
@@ -52,13 +63,41 @@ if echo "$REPO_BRANCH" | grep -q '[;&|`$(){}[\]<>~^:?*\\]'; then
     exit 1
 fi
 
+if echo "$REPO_REF" | grep -q '[;&|`$(){}[\]<>~^:?*\\]'; then
+    print_error "Ref contains invalid characters"
+    exit 1
+fi
+
+if echo "$REPO_REMOTE" | grep -q '[;&|`$(){}[\]<>~^:?*\\]'; then
+    print_error "Remote name contains invalid characters"
+    exit 1
+fi
+
+if echo "$WORK_BRANCH" | grep -q '[;&|`$(){}[\]<>~^:?*\\]'; then
+    print_error "Work branch name contains invalid characters"
+    exit 1
+fi
+
+if [ -n "$REPO_HOST" ] && ! echo "$REPO_HOST" | grep -q '^[a-zA-Z0-9.-]*$'; then
+    print_error "Repository host contains invalid characters"
+    exit 1
+fi
+
 print_info "Repository URL: $REPO_URL"
 print_info "Repository Name: $REPO_NAME"
-print_info "Repository Branch: $REPO_BRANCH"
+print_info "Repository Branch: ${REPO_BRANCH:-(detached HEAD)}"
 print_info "Workspace Mode: $WORKSPACE_MODE"
 
-# Setup SSH access only for gitcheckout mode
-if [ "$WORKSPACE_MODE" = "--gitcheckout" ]; then
+# Setup Git credentials only for gitcheckout mode
+if [ "$WORKSPACE_MODE" = "--gitcheckout" ] && [ "$GIT_AUTH" = "https" ]; then
+    # HTTPS token authentication - the CLI mounts a git credential store file and
+    # points git at it through GIT_CONFIG_* variables
+    print_info "Using HTTPS token authentication"
+    if [ ! -r /run/opencodebox/git-credentials ]; then
+        print_error "HTTPS credentials were not provided to the container"
+        exit 1
+    fi
+elif [ "$WORKSPACE_MODE" = "--gitcheckout" ]; then
     # Validate and setup SSH access
     if [ -z "$SSH_AUTH_SOCK" ]; then
         print_error "SSH_AUTH_SOCK environment variable not set"
@@ -80,8 +119,13 @@ if [ "$WORKSPACE_MODE" = "--gitcheckout" ]; then
         PLATFORM="linux"
     fi
 
-    # Fix SSH socket permissions if needed
-    if [ ! -r "$SSH_AUTH_SOCK" ] || [ ! -w "$SSH_AUTH_SOCK" ]; then
+    # Fix SSH socket permissions if needed (the strict profile has no sudo, the
+    # CLI relays the agent through a socket node can already open instead)
+    if [ "$OPENCODEBOX_PROFILE" = "strict" ] && { [ ! -r "$SSH_AUTH_SOCK" ] || [ ! -w "$SSH_AUTH_SOCK" ]; }; then
+        print_error "SSH agent socket is not accessible: $SSH_AUTH_SOCK"
+        print_info "The strict profile cannot fix socket permissions, check the SSH agent relay on the host"
+        exit 1
+    elif [ ! -r "$SSH_AUTH_SOCK" ] || [ ! -w "$SSH_AUTH_SOCK" ]; then
         # Try multiple approaches to fix SSH socket access
         FIXED=false
         
@@ -126,25 +170,137 @@ if [ "$WORKSPACE_MODE" = "--gitcheckout" ]; then
         fi
     fi
 
-    # Test SSH connection to GitHub
-    print_info "Verifying GitHub access..."
-    SSH_OUTPUT=$(timeout 10 ssh -T git@github.com -o ConnectTimeout=5 -o StrictHostKeyChecking=yes -o BatchMode=yes 2>&1 || echo "SSH_FAILED")
+    # Tunnel SSH through the allowlist egress proxy when the network is restricted
+    if [ -n "$OPENCODEBOX_PROXY" ]; then
+        print_info "Routing SSH through egress proxy: $OPENCODEBOX_PROXY"
+        {
+            echo "Host *"
+            echo "  ProxyCommand node /opt/opencodebox/allowlist-proxy.js connect %h %p"
+        } >> /home/node/.ssh/config
+    fi
+
+    # Pin host keys for the repository host provided by the CLI
+    if [ -n "$EXTRA_KNOWN_HOSTS" ] && [ -f "$EXTRA_KNOWN_HOSTS" ]; then
+        cat "$EXTRA_KNOWN_HOSTS" >> /home/node/.ssh/known_hosts
+    fi
+else
+    print_info "SSH setup skipped for mount mode"
+fi
 
-    if echo "$SSH_OUTPUT" | grep -q "successfully authenticated"; then
-        print_success "GitHub SSH access verified"
-    elif echo "$SSH_OUTPUT" | grep -q "Permission denied"; then
-        print_error "GitHub SSH access failed - Permission denied"
+if [ "$WORKSPACE_MODE" = "--gitcheckout" ]; then
+    # Probe the repository's own host (SSH or HTTPS) before cloning
+    REPO_HOST_LABEL="${REPO_HOST:-repository host}"
+    print_info "Verifying access to $REPO_HOST_LABEL..."
+    PROBE_STATUS=0
+    # Branches and tags must exist on the remote; commits are looked up when fetching
+    PROBE_ARGS=(--exit-code "$REPO_URL" "$REPO_REF")
+    if [ "$REPO_REF_TYPE" = "commit" ]; then
+        PROBE_ARGS=("$REPO_URL" HEAD)
+    fi
+    PROBE_OUTPUT=$(GIT_TERMINAL_PROMPT=0 GIT_SSH_COMMAND="ssh -o ConnectTimeout=10 -o StrictHostKeyChecking=yes -o BatchMode=yes" \
+        timeout 30 git ls-remote "${PROBE_ARGS[@]}" 2>&1 >/dev/null) || PROBE_STATUS=$?
+
+    if [ "$PROBE_STATUS" -eq 0 ]; then
+        print_success "Access to $REPO_HOST_LABEL verified"
+    elif [ "$PROBE_STATUS" -eq 2 ]; then
+        print_error "Branch or tag $REPO_REF does not exist on the remote. Push it first: git push -u ${REPO_REMOTE:-origin} $REPO_REF"
+        exit 1
+    elif echo "$PROBE_OUTPUT" | grep -q "Host key verification failed"; then
+        print_error "Host key verification failed for $REPO_HOST_LABEL"
+        print_info "Pin its key with \"knownHosts\" under \"trustedHosts\" in your opencodebox config"
+        exit 1
+    elif echo "$PROBE_OUTPUT" | grep -q -e "Permission denied" -e "could not read Username" -e "Authentication failed"; then
+        print_error "Access to $REPO_HOST_LABEL failed - Permission denied"
         exit 1
-    elif echo "$SSH_OUTPUT" | grep -q "SSH_FAILED"; then
-        print_error "GitHub SSH connection failed"
+    elif [ "$PROBE_STATUS" -eq 124 ]; then
+        print_error "Connection to $REPO_HOST_LABEL timed out"
         exit 1
     else
-        print_warning "SSH test returned unexpected output, proceeding anyway"
+        print_error "Connection to $REPO_HOST_LABEL failed"
+        echo "$PROBE_OUTPUT" | tail -n 3
+        exit 1
     fi
-else
-    print_info "SSH setup skipped for mount mode"
 fi
 
+# Export forwarded environment variables (API keys, .env values). The CLI mounts
+# them as a file so they stay out of the container's configuration.
+if [ -r /run/opencodebox/env ]; then
+    while IFS= read -r line || [ -n "$line" ]; do
+        if [ -n "$line" ]; then
+            export "$line"
+        fi
+    done < /run/opencodebox/env
+    print_info "Forwarded environment variables loaded"
+fi
+
+# Session audit log: commands run through bash (OpenCode's shell tool and
+# attached shells) and files changed in the workspace are appended as JSON lines
+# to the state volume. The CLI copies them to the host when the session ends.
+AUDIT_DIR=/home/node/.local/state/opencodebox
+AUDIT_HOOK="$AUDIT_DIR/bash-audit.sh"
+if [ "$OPENCODEBOX_AUDIT" = "true" ]; then
+    mkdir -p "$AUDIT_DIR"
+    cat > "$AUDIT_HOOK" <<'HOOK'
+# Installed by the OpenCode Box entrypoint, sourced through BASH_ENV and ~/.bashrc
+_opencodebox_escape() {
+    REPLY=${1//\\/\\\\}
+    REPLY=${REPLY//\"/\\\"}
+    REPLY=${REPLY//$'\n'/\\n}
+    REPLY=${REPLY//$'\r'/\\r}
+    REPLY=${REPLY//$'\t'/\\t}
+}
+
+# _opencodebox_record <type> <name> <value> [<name> <value>...]
+_opencodebox_record() {
+    local record now
+    TZ=UTC printf -v now '%(%Y-%m-%dT%H:%M:%SZ)T' -1
+    record="{\"time\":\"$now\",\"type\":\"$1\""
+    shift
+    while [ $# -ge 2 ]; do
+        _opencodebox_escape "$2"
+        record="$record,\"$1\":\"$REPLY\""
+        shift 2
+    done
+    printf '%s}\n' "$record" >> /home/node/.local/state/opencodebox/audit.jsonl 2>/dev/null || true
+}
+
+if [ -n "${BASH_EXECUTION_STRING:-}" ]; then
+    _opencodebox_record command cwd "$PWD" command "$BASH_EXECUTION_STRING"
+elif [[ $- == *i* ]]; then
+    # Log each interactive command line once it ran
+    _opencodebox_last=$(HISTTIMEFORMAT= history 1)
+    _opencodebox_prompt() {
+        local entry
+        entry=$(HISTTIMEFORMAT= history 1)
+        if [ -n "$entry" ] && [ "$entry" != "$_opencodebox_last" ]; then
+            _opencodebox_last=$entry
+            [[ $entry =~ ^\ *[0-9]+\ +(.*)$ ]] && _opencodebox_record command cwd "$PWD" command "${BASH_REMATCH[1]}"
+        fi
+    }
+    PROMPT_COMMAND="_opencodebox_prompt${PROMPT_COMMAND:+; $PROMPT_COMMAND}"
+fi
+HOOK
+    . "$AUDIT_HOOK"
+    export BASH_ENV="$AUDIT_HOOK"
+    export SHELL=/bin/bash
+    echo "[ -f $AUDIT_HOOK ] && . $AUDIT_HOOK" >> /home/node/.bashrc 2>/dev/null || true
+fi
+
+# Snapshot the workspace, untracked files included, as a git tree written through
+# a temporary index. New objects go to AUDIT_OBJECTS, a throwaway directory that
+# borrows the repository's objects, so a mounted host repository is never written to
+audit_snapshot() {
+    local index
+    index=$(mktemp)
+    cp "$(git rev-parse --git-path index)" "$index" 2>/dev/null || true
+    GIT_INDEX_FILE="$index" audit_git add -A >/dev/null 2>&1 && GIT_INDEX_FILE="$index" audit_git write-tree 2>/dev/null
+    rm -f "$index"
+}
+
+audit_git() {
+    GIT_OBJECT_DIRECTORY="$AUDIT_OBJECTS" GIT_ALTERNATE_OBJECT_DIRECTORIES="$AUDIT_REPO_OBJECTS" git "$@"
+}
+
 # Setup OpenCode configuration
 print_info "Setting up OpenCode configuration..."
 
@@ -177,34 +333,93 @@ else
     print_info "Using default OpenCode configuration"
 fi
 
+# ~/.local/share/opencode is a per-project volume with --keep-opencode-state
+if [ "$OPENCODE_STATE_KEPT" = "true" ]; then
+    print_info "OpenCode sessions and data are kept between sessions of this project"
+fi
+
 # Handle workspace based on mode
 cd /workspace
 
 if [ "$WORKSPACE_MODE" = "--gitcheckout" ]; then
-    # Clone and setup repository (original behavior)
-    print_info "Cloning repository: $REPO_NAME ($REPO_BRANCH)"
+    # Clone and setup repository, shallow unless GIT_FULL_HISTORY is set
+    print_info "Cloning repository: $REPO_NAME ($REPO_REF)"
     if [ -d "$REPO_NAME" ]; then
         rm -rf "$REPO_NAME"
     fi
 
-    # Clone repository with timeout
-    timeout 300 git clone --depth 1 --single-branch --branch "$REPO_BRANCH" "$REPO_URL" "$REPO_NAME" || {
-        print_error "Failed to clone repository"
-        exit 1
-    }
+    DEPTH_ARGS="--depth 1"
+    if [ "$GIT_FULL_HISTORY" = "true" ]; then
+        DEPTH_ARGS=""
+    fi
 
-    cd "$REPO_NAME"
-    print_success "Repository ready: $(pwd)"
+    if [ "$REPO_REF_TYPE" = "commit" ]; then
+        # Exact commit: fetch it directly where the server allows that, else fetch
+        # the branches (full history) and look for it there
+        git init -q "$REPO_NAME"
+        cd "$REPO_NAME"
+        git remote add origin "$REPO_URL"
+        if [ "$GIT_FULL_HISTORY" = "true" ]; then
+            { timeout 600 git fetch -q origin && git cat-file -e "$REPO_REF^{commit}" 2>/dev/null; } || timeout 600 git fetch -q origin "$REPO_REF"
+        else
+            timeout 300 git fetch -q --depth 1 origin "$REPO_REF"
+        fi || {
+            print_error "Failed to fetch commit $REPO_REF, it may not be pushed yet"
+            exit 1
+        }
+        git checkout -q --detach "$REPO_REF" || {
+            print_error "Failed to check out commit $REPO_REF"
+            exit 1
+        }
+    else
+        # Branch or tag; a tag leaves a detached HEAD
+        timeout 300 git -c advice.detachedHead=false clone $DEPTH_ARGS --branch "$REPO_REF" "$REPO_URL" "$REPO_NAME" || {
+            print_error "Failed to clone repository"
+            exit 1
+        }
+        cd "$REPO_NAME"
+    fi
+    print_success "Repository ready: $(pwd) at $(git rev-parse --short HEAD)"
 
-    # Verify branch (shallow clone should handle this automatically)
-    CURRENT_BRANCH=$(git branch --show-current)
-    if [ "$CURRENT_BRANCH" != "$REPO_BRANCH" ]; then
-        timeout 60 git checkout "$REPO_BRANCH" 2>/dev/null || timeout 60 git checkout -b "$REPO_BRANCH" || {
-            print_error "Failed to checkout branch $REPO_BRANCH"
+    if [ "$GIT_SUBMODULES" = "true" ]; then
+        print_info "Cloning submodules..."
+        timeout 600 git submodule update --init --recursive $DEPTH_ARGS || print_warning "Some submodules could not be cloned"
+    fi
+
+    if [ "$GIT_LFS" = "true" ]; then
+        print_info "Downloading Git LFS files..."
+        { git lfs install --local >/dev/null && timeout 600 git lfs pull; } || print_warning "Git LFS files could not be downloaded"
+    fi
+
+    # Uncommitted changes carried over from the host (--carry-changes)
+    if [ -f /run/opencodebox/changes.patch ]; then
+        if git apply --whitespace=nowarn /run/opencodebox/changes.patch; then
+            print_success "Applied the host's uncommitted changes"
+        else
+            print_warning "The host's uncommitted changes do not apply to $REPO_REF, starting without them"
+        fi
+    fi
+
+    # Fan-out boxes each work on their own branch
+    if [ -n "$WORK_BRANCH" ]; then
+        git checkout -q -b "$WORK_BRANCH" || {
+            print_error "Failed to create branch $WORK_BRANCH"
             exit 1
         }
+        print_info "Working on branch $WORK_BRANCH"
     fi
 else
+    # Review mode - copy the read-only host workspace into the private review volume
+    if [ "$WORKSPACE_MODE" = "--mount-review" ]; then
+        if [ -z "$(ls -A /workspace)" ]; then
+            print_info "Copying host workspace for review..."
+            cp -a /host-workspace/. /workspace/ 2>/dev/null || print_warning "Some files could not be copied into the review workspace"
+            print_success "Review workspace ready, changes stay in the container until you apply them"
+        else
+            print_info "Reusing existing review workspace"
+        fi
+    fi
+
     # Mount modes - workspace is already mounted, just verify it's a git repository
     print_info "Using mounted workspace: $(pwd)"
     
@@ -217,7 +432,7 @@ else
     
     # Check if we're on the expected branch (warning only)
     CURRENT_BRANCH=$(git branch --show-current)
-    if [ "$CURRENT_BRANCH" != "$REPO_BRANCH" ]; then
+    if [ -n "$REPO_BRANCH" ] && [ "$CURRENT_BRANCH" != "$REPO_BRANCH" ]; then
         print_warning "Current branch ($CURRENT_BRANCH) differs from expected branch ($REPO_BRANCH)"
         print_info "You may want to checkout the correct branch: git checkout $REPO_BRANCH"
     fi
@@ -225,6 +440,33 @@ else
     print_success "Mounted workspace ready: $(pwd)"
 fi
 
-# Start OpenCode
-print_info "Starting OpenCode..."
-opencode
\ No newline at end of file
+# Record the workspace before the agent runs, to log changed files afterwards
+AUDIT_BASELINE=""
+if [ "$OPENCODEBOX_AUDIT" = "true" ] && [ "$WORKSPACE_MODE" != "--mount-ro" ] && \
+    AUDIT_REPO_OBJECTS=$(cd "$(git rev-parse --git-path objects 2>/dev/null)" 2>/dev/null && pwd) && \
+    AUDIT_OBJECTS=$(mktemp -d); then
+    AUDIT_BASELINE=$(audit_snapshot) || AUDIT_BASELINE=""
+fi
+
+# Start OpenCode, or run it once on the prompt without a terminal
+OPENCODE_STATUS=0
+if [ -f "$PROMPT_FILE" ]; then
+    print_info "Running OpenCode on the prompt..."
+    opencode run -- "$(cat "$PROMPT_FILE")" >&3 || OPENCODE_STATUS=$?
+else
+    print_info "Starting OpenCode..."
+    opencode || OPENCODE_STATUS=$?
+fi
+
+if [ -n "$AUDIT_BASELINE" ]; then
+    AUDIT_FINAL=$(audit_snapshot) || AUDIT_FINAL=""
+    if [ -n "$AUDIT_FINAL" ]; then
+        audit_git diff -z --name-status --no-renames "$AUDIT_BASELINE" "$AUDIT_FINAL" | \
+            while IFS= read -r -d '' status && IFS= read -r -d '' file; do
+                _opencodebox_record file-changed status "$status" path "$file"
+            done
+    fi
+    rm -rf "$AUDIT_OBJECTS"
+fi
+
+exit $OPENCODE_STATUS
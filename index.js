@@ -1,4 +1,29 @@
+// Programmatic API, see "Programmatic Usage" in the README
+const api = require('./lib/opencodebox');
+
 module.exports = {
     version: require('./package.json').version,
-    name: 'opencode-box'
+    name: 'opencode-box',
+
+    loadConfig: api.loadConfig,
+    checkRequirements: api.checkRequirements,
+    getRepoInfo: api.getRepoInfo,
+    buildImage: api.buildImage,
+    startSession: api.startSession,
+    planSession: api.planSession,
+    startFanout: api.startFanout,
+    listSessions: api.listSessions,
+    stopSession: api.stopSession,
+    pruneSessions: api.pruneSessions,
+    diagnose: api.diagnose,
+    exportWorkspace: api.exportWorkspace,
+    setLogger: api.setLogger,
+
+    Session: api.Session,
+    OpenCodeBoxError: api.OpenCodeBoxError,
+    ConfigError: api.ConfigError,
+    RequirementError: api.RequirementError,
+    RepositoryError: api.RepositoryError,
+    ImageBuildError: api.ImageBuildError,
+    SessionError: api.SessionError
 };
@@ -0,0 +1,414 @@
+// Command line declaration for the opencodebox CLI: commands with positional
+// arguments and typed options are declared once (see bin/agentbox.js), then
+// parsed, documented (--help) and completed (bash, zsh, fish) from it.
+//
+// An option is { name, short, value, choices, list, file, validate, expected,
+// alias, group, description }: "value" names the value of options that take
+// one, "list" options take comma-separated values and may be repeated, and an
+// "alias" ({ option, value }) sets another option, like --mount-ro for --mode.
+// A command is { name, aliases, summary, description, args, options }, where
+// args are { name, required, variadic, choices } and options are option names.
+const { ConfigError } = require('./errors');
+
+const HELP_WIDTH = 80;
+const HELP_COLUMN = 18;
+
+function findCommand(definition, name) {
+    return definition.commands.find(command => command.name === name || (command.aliases || []).includes(name)) || null;
+}
+
+function findOption(definition, name) {
+    const option = definition.options.find(candidate => candidate.name === name);
+    if (!option) {
+        throw new Error(`Unknown option "${name}" in the command line definition`);
+    }
+    return option;
+}
+
+// The options a command accepts, the global ones (--help, ...) last
+function commandOptions(definition, command) {
+    return command.options.concat(definition.globalOptions).map(name => findOption(definition, name));
+}
+
+function optionFlags(option) {
+    return [`--${option.name}`].concat(option.short ? [option.short] : []);
+}
+
+function isValidValue(option, value) {
+    const values = Array.isArray(value) ? value : [value];
+    if (option.choices && !values.every(item => option.choices.includes(item))) {
+        return false;
+    }
+    return option.validate ? option.validate(value) : values.every(item => item.trim() !== '');
+}
+
+function expectedValue(option) {
+    if (option.expected) {
+        return option.expected;
+    }
+    return option.choices ? `one of ${option.choices.map(choice => `"${choice}"`).join(', ')}` : 'a non-empty value';
+}
+
+// Split the arguments into the command (the default one unless the first
+// argument names one), its positional arguments and the option values, keyed
+// by option name. Throws a ConfigError pointing at the command's help for
+// unknown options, missing or invalid values and unexpected arguments.
+function parseCommandLine(definition, argv) {
+    const explicit = argv.length > 0 ? findCommand(definition, argv[0]) : null;
+    const command = explicit || findCommand(definition, definition.defaultCommand);
+    const rest = explicit ? argv.slice(1) : argv;
+    const options = commandOptions(definition, command);
+    const helpHint = `Run "${definition.program} ${command.name} --help" for its arguments and options`;
+
+    const values = {};
+    const setBy = {};
+    const positionals = [];
+
+    // The same option set differently by two flags (--mount-ro --gitcheckout) is an
+    // error; repeating a flag overrides its value, or adds to a list
+    const assign = (name, value, flag) => {
+        if (setBy[name] && setBy[name] !== flag && values[name] !== value && !Array.isArray(value)) {
+            throw new ConfigError(`${setBy[name]} and ${flag} cannot be combined, please use only one`, { hints: [helpHint] });
+        }
+        values[name] = value;
+        setBy[name] = flag;
+    };
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === '--') {
+            positionals.push(...rest.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [flag, inlineValue] = arg.split(/=(.*)/s);
+        const option = options.find(candidate => optionFlags(candidate).includes(flag));
+        if (!option) {
+            throw new ConfigError(`Unknown option ${flag}${explicit ? ` for "${command.name}"` : ''}`, { hints: [helpHint] });
+        }
+        if (!option.value) {
+            if (inlineValue !== undefined) {
+                throw new ConfigError(`${flag} does not take a value`, { hints: [helpHint] });
+            }
+            if (option.alias) {
+                assign(option.alias.option, option.alias.value, flag);
+            } else {
+                assign(option.name, true, flag);
+            }
+            continue;
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : rest[++i];
+        if (value === undefined) {
+            throw new ConfigError(`Missing value for ${flag}. It must be ${expectedValue(option)}`, { hints: [helpHint] });
+        }
+        const optionValue = option.list ? (values[option.name] || []).concat(value.split(',')) : value;
+        if (!isValidValue(option, optionValue)) {
+            throw new ConfigError(`Invalid value for ${flag}: ${value}. It must be ${expectedValue(option)}`, { hints: [helpHint] });
+        }
+        assign(option.name, optionValue, flag);
+    }
+
+    // Positional arguments are only checked when the command is going to run
+    if (!values.help && !values.version) {
+        const args = command.args || [];
+        const variadic = args.length > 0 && args[args.length - 1].variadic;
+        if (positionals.length > args.length && !variadic) {
+            const extra = positionals[args.length];
+            throw explicit
+                ? new ConfigError(`Unexpected argument for "${command.name}": ${extra}`, { hints: [helpHint] })
+                : new ConfigError(`Unknown command: ${extra}`, { hints: [`Run "${definition.program} --help" for the commands`] });
+        }
+        args.forEach((arg, index) => {
+            const given = arg.variadic ? positionals.slice(index) : positionals.slice(index, index + 1);
+            if (arg.required && given.length === 0) {
+                throw new ConfigError(`"${command.name}" needs <${arg.name}>`, { hints: [helpHint] });
+            }
+            const invalid = arg.choices ? given.find(value => !arg.choices.includes(value)) : undefined;
+            if (invalid !== undefined) {
+                throw new ConfigError(`Invalid ${arg.name} for "${command.name}": ${invalid}. It must be one of ${arg.choices.join(', ')}`, { hints: [helpHint] });
+            }
+        });
+    }
+
+    return { command: command.name, explicit: Boolean(explicit), positionals: positionals, values: values };
+}
+
+// Help text
+
+// Wrap each line of the text; list items ("- ...") continue under their first word
+function wrapText(text, width) {
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        const indent = paragraph.startsWith('- ') ? '  ' : '';
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+            if (line && line.length + word.length + 1 > width) {
+                lines.push(line);
+                line = `${indent}${word}`;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+// Two columns: the term, and its description wrapped next to it (or below a long term)
+function formatRows(rows) {
+    const lines = [];
+    rows.forEach(([term, description]) => {
+        const text = wrapText(description, HELP_WIDTH - HELP_COLUMN);
+        if (term.length + 2 > HELP_COLUMN - 1) {
+            lines.push(`  ${term}`);
+        } else {
+            lines.push(`  ${term.padEnd(HELP_COLUMN - 2)}${text.shift()}`);
+        }
+        text.forEach(line => lines.push(`${' '.repeat(HELP_COLUMN)}${line}`));
+    });
+    return lines;
+}
+
+function formatArgs(command) {
+    return (command.args || []).map(arg => {
+        const name = arg.choices && arg.choices.length <= 4 ? arg.choices.join('|') : arg.name;
+        const text = `<${name}>${arg.variadic ? '...' : ''}`;
+        return arg.required ? text : `[${text}]`;
+    }).join(' ');
+}
+
+function formatOption(option) {
+    const value = option.value ? ` <${option.choices && !option.list ? option.choices.join('|') : option.value}>` : '';
+    return `--${option.name}${value}${option.short ? `, ${option.short}` : ''}`;
+}
+
+// Overview of the program: its commands and the definition's footer sections
+function formatHelp(definition) {
+    const lines = [definition.title, '', `Usage: ${definition.program} [command] [options]`, '', 'Commands:'];
+    lines.push(...formatRows(definition.commands.map(command => {
+        const aliases = (command.aliases || []).length > 0 ? ` (alias: ${command.aliases.join(', ')})` : '';
+        const isDefault = command.name === definition.defaultCommand ? ' (default command)' : '';
+        return [command.name, `${command.summary}${isDefault}${aliases}`];
+    })));
+    lines.push('', `Run "${definition.program} <command> --help" for the arguments and options of a command.`);
+    (definition.sections || []).forEach(section => {
+        lines.push('', `${section.title}:`);
+        lines.push(...formatRows(section.rows || []));
+        if (section.text) {
+            lines.push(...wrapText(section.text, HELP_WIDTH - 2).map(line => `  ${line}`));
+        }
+    });
+    return lines.join('\n');
+}
+
+// Usage, description and options of one command, the options under their groups
+function formatCommandHelp(definition, name) {
+    const command = findCommand(definition, name);
+    const commandName = command.name === definition.defaultCommand ? `[${command.name}]` : command.name;
+    const args = formatArgs(command);
+    const lines = [`Usage: ${definition.program} ${commandName}${args ? ` ${args}` : ''} [options]`];
+    if ((command.aliases || []).length > 0) {
+        lines.push(`Alias: ${command.aliases.map(alias => `${definition.program} ${alias}`).join(', ')}`);
+    }
+    lines.push('', ...wrapText(command.description || command.summary, HELP_WIDTH));
+
+    const groups = [];
+    commandOptions(definition, command).forEach(option => {
+        const title = option.group || 'Options';
+        let group = groups.find(candidate => candidate.title === title);
+        if (!group) {
+            group = { title: title, rows: [] };
+            groups.push(group);
+        }
+        group.rows.push([formatOption(option), option.description]);
+    });
+    groups.forEach(group => lines.push('', `${group.title}:`, ...formatRows(group.rows)));
+    return lines.join('\n');
+}
+
+// Shell completion scripts
+
+// The description up to its first aside, for completion menus
+function shortDescription(text) {
+    return text.split(/ \(|; |\. /)[0].trim();
+}
+
+function bashCompletion(definition) {
+    const program = definition.program;
+    const functionName = `_${program.replace(/[^A-Za-z0-9_]/g, '_')}`;
+    const valueCases = [];
+    definition.options.filter(option => option.value).forEach(option => {
+        const flags = optionFlags(option).join('|');
+        if (option.file) {
+            valueCases.push(`        ${flags}) COMPREPLY=($(compgen -f -- "$cur")); return;;`);
+        } else if (option.choices) {
+            valueCases.push(`        ${flags}) COMPREPLY=($(compgen -W "${option.choices.join(' ')}" -- "$cur")); return;;`);
+        } else {
+            valueCases.push(`        ${flags}) return;;`);
+        }
+    });
+    const completions = (command) => {
+        const flags = commandOptions(definition, command).map(option => optionFlags(option).join(' ')).join(' ');
+        const choices = (command.args || []).map(arg => (arg.choices || []).join(' ')).filter(Boolean).join(' ');
+        return `options="${flags}"; arguments="${choices}"`;
+    };
+    const commandCases = definition.commands.map(command => {
+        const names = [command.name].concat(command.aliases || []).join('|');
+        return `        ${names}) ${completions(command)};;`;
+    });
+    const commandNames = definition.commands.map(command => [command.name].concat(command.aliases || []).join(' ')).join(' ');
+
+    return `# bash completion for ${program}, generated by "${program} completion bash"
+${functionName}() {
+    local cur prev command options arguments
+    cur="\${COMP_WORDS[COMP_CWORD]}"
+    prev="\${COMP_WORDS[COMP_CWORD-1]}"
+
+    case "$prev" in
+${valueCases.join('\n')}
+    esac
+
+    command=${definition.defaultCommand}
+    if [ "$COMP_CWORD" -gt 1 ]; then
+        command="\${COMP_WORDS[1]}"
+    fi
+    case "$command" in
+${commandCases.join('\n')}
+        *) ${completions(findCommand(definition, definition.defaultCommand))};;
+    esac
+    if [ "$COMP_CWORD" -eq 1 ] && [[ "$cur" != -* ]]; then
+        COMPREPLY=($(compgen -W "${commandNames}" -- "$cur"))
+    elif [[ "$cur" == -* ]]; then
+        COMPREPLY=($(compgen -W "$options" -- "$cur"))
+    else
+        COMPREPLY=($(compgen -W "$arguments" -- "$cur"))
+    fi
+}
+complete -F ${functionName} ${program}
+`;
+}
+
+function zshQuote(text) {
+    return text.replace(/'/g, `'\\''`).replace(/([[\]:])/g, '\\$1');
+}
+
+function zshCompletion(definition) {
+    const program = definition.program;
+    const functionName = `_${program.replace(/[^A-Za-z0-9_]/g, '_')}`;
+    const commandList = definition.commands.map(command => `        '${command.name}:${zshQuote(command.summary)}'`);
+    const commandCases = definition.commands.map(command => {
+        const specs = [];
+        commandOptions(definition, command).forEach(option => {
+            const description = zshQuote(shortDescription(option.description));
+            const action = !option.value ? ''
+                : option.file ? `:${option.value}:_files`
+                    : option.choices ? `:${option.value}:(${option.choices.join(' ')})`
+                        : `:${option.value}: `;
+            optionFlags(option).forEach(flag => {
+                const repeat = option.list ? '*' : '';
+                const spelling = option.value && flag.startsWith('--') ? `${flag}=` : flag;
+                specs.push(`'${repeat}${spelling}[${description}]${action}'`);
+            });
+        });
+        (command.args || []).forEach((arg, index) => {
+            const position = arg.variadic ? '*' : String(index + 1);
+            specs.push(`'${position}:${arg.name}:${arg.choices ? `(${arg.choices.join(' ')})` : ' '}'`);
+        });
+        const names = [command.name].concat(command.aliases || []).join('|');
+        return `        (${names})\n            _arguments -s \\\n                ${specs.join(' \\\n                ')}\n            ;;`;
+    });
+
+    return `#compdef ${program}
+# zsh completion for ${program}, generated by "${program} completion zsh"
+${functionName}() {
+    local -a commands
+    commands=(
+${commandList.join('\n')}
+    )
+
+    local command=${definition.defaultCommand}
+    if (( CURRENT == 2 )) && [[ \${words[2]} != -* ]]; then
+        _describe -t commands command commands
+        return
+    elif (( CURRENT > 2 )) && [[ \${words[2]} != -* ]]; then
+        command=\${words[2]}
+        shift words
+        (( CURRENT-- ))
+    fi
+
+    case $command in
+${commandCases.join('\n')}
+    esac
+}
+
+${functionName} "$@"
+`;
+}
+
+function fishQuote(text) {
+    return `'${text.replace(/\\/g, '\\\\').replace(/'/g, `\\'`)}'`;
+}
+
+function fishCompletion(definition) {
+    const program = definition.program;
+    const allNames = definition.commands.map(command => [command.name].concat(command.aliases || []).join(' ')).join(' ');
+    const lines = [
+        `# fish completion for ${program}, generated by "${program} completion fish"`,
+        `complete -c ${program} -f`
+    ];
+    definition.commands.forEach(command => {
+        lines.push(`complete -c ${program} -n 'not __fish_seen_subcommand_from ${allNames}' -a ${command.name} -d ${fishQuote(command.summary)}`);
+    });
+    definition.commands.forEach(command => {
+        const names = [command.name].concat(command.aliases || []).join(' ');
+        // The default command's options also apply when no command was given
+        const others = definition.commands.filter(other => other !== command)
+            .map(other => [other.name].concat(other.aliases || []).join(' ')).join(' ');
+        const condition = command.name === definition.defaultCommand
+            ? `not __fish_seen_subcommand_from ${others}`
+            : `__fish_seen_subcommand_from ${names}`;
+        commandOptions(definition, command).forEach(option => {
+            let spec = `complete -c ${program} -n '${condition}' -l ${option.name}`;
+            if (option.short) {
+                spec += ` -s ${option.short.replace(/^-/, '')}`;
+            }
+            if (option.value) {
+                spec += option.file ? ' -r -F' : ' -r';
+            }
+            if (option.choices) {
+                spec += ` -a ${fishQuote(option.choices.join(' '))}`;
+            }
+            lines.push(`${spec} -d ${fishQuote(shortDescription(option.description))}`);
+        });
+        (command.args || []).filter(arg => arg.choices).forEach(arg => {
+            lines.push(`complete -c ${program} -n '__fish_seen_subcommand_from ${names}' -a ${fishQuote(arg.choices.join(' '))}`);
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+const COMPLETION_SHELLS = {
+    bash: bashCompletion,
+    zsh: zshCompletion,
+    fish: fishCompletion
+};
+
+function completionScript(definition, shell) {
+    if (!COMPLETION_SHELLS[shell]) {
+        throw new ConfigError(`No completion script for ${shell}, only for ${Object.keys(COMPLETION_SHELLS).join(', ')}`);
+    }
+    return COMPLETION_SHELLS[shell](definition);
+}
+
+module.exports = {
+    COMPLETION_SHELLS,
+    parseCommandLine,
+    formatHelp,
+    formatCommandHelp,
+    completionScript
+};
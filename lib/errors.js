@@ -0,0 +1,58 @@
+// Typed errors thrown by the OpenCode Box API instead of exiting the process.
+// "hints" are follow-up suggestions the CLI prints below the error message.
+
+class OpenCodeBoxError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = options.code || 'EOPENCODEBOX';
+        this.hints = options.hints || [];
+        if (options.cause) {
+            this.cause = options.cause;
+        }
+    }
+}
+
+// Invalid config file, option or combination of options
+class ConfigError extends OpenCodeBoxError {
+    constructor(message, options = {}) {
+        super(message, Object.assign({ code: 'ECONFIG' }, options));
+    }
+}
+
+// Docker, git or credentials needed by the session are missing
+class RequirementError extends OpenCodeBoxError {
+    constructor(message, options = {}) {
+        super(message, Object.assign({ code: 'EREQUIREMENT' }, options));
+    }
+}
+
+// The current directory's repository, remote or branch cannot be used
+class RepositoryError extends OpenCodeBoxError {
+    constructor(message, options = {}) {
+        super(message, Object.assign({ code: 'EREPOSITORY' }, options));
+    }
+}
+
+// Building the base or project image failed
+class ImageBuildError extends OpenCodeBoxError {
+    constructor(message, options = {}) {
+        super(message, Object.assign({ code: 'EIMAGE' }, options));
+    }
+}
+
+// Starting, finding or stopping a session failed
+class SessionError extends OpenCodeBoxError {
+    constructor(message, options = {}) {
+        super(message, Object.assign({ code: 'ESESSION' }, options));
+    }
+}
+
+module.exports = {
+    OpenCodeBoxError,
+    ConfigError,
+    RequirementError,
+    RepositoryError,
+    ImageBuildError,
+    SessionError
+};
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const { CLI, parseArguments } = require('../bin/agentbox');
+const { completionScript } = require('../lib/cli');
+
+// Run the bash completion function on the words typed so far, the last one being completed
+function completeBash(words) {
+    const script = `${completionScript(CLI, 'bash')}
+COMP_WORDS=("$@")
+COMP_CWORD=$(( $# - 1 ))
+_opencodebox
+printf '%s\\n' "\${COMPREPLY[@]}"`;
+    const result = spawnSync('bash', ['-c', script, 'bash'].concat(words), { encoding: 'utf8' });
+    assert.strictEqual(result.status, 0, result.stderr);
+    return result.stdout.split('\n').filter(line => line !== '');
+}
+
+test('starts a session when no command is given', () => {
+    const args = parseArguments(['--memory=4g']);
+    assert.strictEqual(args.command, 'start');
+    assert.strictEqual(args.explicit, false);
+    assert.deepStrictEqual(args.options, { memory: '4g' });
+});
+
+test('maps every mode flag to the mode option', () => {
+    ['mount-ro', 'mount-rw', 'mount-review', 'worktree', 'gitcheckout'].forEach(mode => {
+        assert.strictEqual(parseArguments([`--${mode}`]).options.mode, `--${mode}`);
+        assert.strictEqual(parseArguments(['run', '--mode', mode, '--prompt', 'task']).options.mode, `--${mode}`);
+    });
+    assert.strictEqual(parseArguments(['--mount-rw', '--mode=mount-rw']).options.mode, '--mount-rw');
+});
+
+test('rejects two different modes', () => {
+    assert.throws(() => parseArguments(['--mount-ro', '--gitcheckout']), {
+        name: 'ConfigError',
+        message: '--mount-ro and --gitcheckout cannot be combined, please use only one'
+    });
+    assert.throws(() => parseArguments(['run', '--worktree', '--mode', 'mount-rw']), {
+        message: '--worktree and --mode cannot be combined, please use only one'
+    });
+});
+
+test('keeps session options and run options apart', () => {
+    const args = parseArguments(['run', '--worktree', '--prompt', 'fix the tests', '--publish', '3000', '--publish=8080:3000', '--env', 'A,B', '--json']);
+    assert.strictEqual(args.command, 'run');
+    assert.deepStrictEqual(args.options, { mode: '--worktree', publish: ['3000', '8080:3000'], forwardEnv: ['A', 'B'] });
+    assert.strictEqual(args.runOptions.prompt, 'fix the tests');
+    assert.strictEqual(args.json, true);
+});
+
+test('validates values with the config schema', () => {
+    assert.throws(() => parseArguments(['--cpus', '0']), { message: /^Invalid value for --cpus: 0\. It must be a number of CPUs/ });
+    assert.throws(() => parseArguments(['--network-policy=closed']), { message: 'Invalid value for --network-policy: closed. It must be one of "open", "allowlist", "none"' });
+});
+
+test('accepts only the options of the given command', () => {
+    assert.throws(() => parseArguments(['fanout', '--mount-rw']), { message: 'Unknown option --mount-rw for "fanout"' });
+    assert.throws(() => parseArguments(['ps', '--memory', '4g']), { message: 'Unknown option --memory for "ps"' });
+    assert.throws(() => parseArguments(['lgos']), { message: 'Unknown command: lgos' });
+    assert.strictEqual(parseArguments(['attach', 'opencode-box-smoke-1']).command, 'shell');
+    assert.deepStrictEqual(parseArguments(['cache', 'clear', 'npm', 'go']).commandArgs, ['clear', 'npm', 'go']);
+    assert.throws(() => parseArguments(['cache', 'purge']), { message: 'Invalid action for "cache": purge. It must be one of ls, clear' });
+});
+
+test('completes commands and their options in bash', () => {
+    assert.deepStrictEqual(completeBash(['opencodebox', 'lo']), ['logs']);
+    assert.deepStrictEqual(completeBash(['opencodebox', 'start', '--mem']), ['--memory']);
+    assert.deepStrictEqual(completeBash(['opencodebox', 'cache', 'cl']), ['clear']);
+    assert.deepStrictEqual(completeBash(['opencodebox', '--network-policy', 'a']), ['allowlist']);
+});
+
+test('completes the default command\'s options after a leading option in bash', () => {
+    assert.deepStrictEqual(completeBash(['opencodebox', '--mount-rw', '--mem']), ['--memory']);
+    assert.deepStrictEqual(completeBash(['opencodebox', '--mount-rw', '--mount-r']), ['--mount-ro', '--mount-rw', '--mount-review']);
+});
+
+test('lists every command and mode flag in the zsh and fish scripts', () => {
+    const zsh = completionScript(CLI, 'zsh');
+    const fish = completionScript(CLI, 'fish');
+    CLI.commands.forEach(command => {
+        assert.ok(zsh.includes(`'${command.name}:`), `zsh lacks ${command.name}`);
+        assert.ok(fish.includes(`-a ${command.name} `), `fish lacks ${command.name}`);
+    });
+    ['mount-ro', 'mount-rw', 'mount-review', 'worktree', 'gitcheckout'].forEach(mode => {
+        assert.ok(zsh.includes(`'--${mode}[`), `zsh lacks --${mode}`);
+        assert.ok(fish.includes(`-l ${mode} `), `fish lacks --${mode}`);
+    });
+});
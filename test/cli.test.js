@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCommandLine, completionScript } = require('../lib/cli');
+const { ConfigError } = require('../lib/errors');
+
+const DEFINITION = {
+    program: 'opencodebox',
+    defaultCommand: 'start',
+    globalOptions: ['help', 'version'],
+    options: [
+        { name: 'help', short: '-h', description: 'Show help' },
+        { name: 'version', short: '-v', description: 'Show the version' },
+        { name: 'mode', value: 'mode', choices: ['mount-ro', 'mount-rw', 'gitcheckout'], description: 'Workspace mode' },
+        { name: 'mount-ro', alias: { option: 'mode', value: 'mount-ro' }, description: 'Mount read-only' },
+        { name: 'mount-rw', alias: { option: 'mode', value: 'mount-rw' }, description: 'Mount read-write' },
+        { name: 'gitcheckout', alias: { option: 'mode', value: 'gitcheckout' }, description: 'Clone the repository' },
+        { name: 'port', short: '-p', value: 'port', list: true, validate: ports => ports.every(port => /^\d+$/.test(port)), expected: 'a port number', description: 'Forward ports' },
+        { name: 'memory', value: 'size', description: 'Memory limit' },
+        { name: 'follow', short: '-f', description: 'Follow the output' },
+        { name: 'shell', value: 'shell', choices: ['bash', 'zsh', 'fish'], description: 'Shell' }
+    ],
+    commands: [
+        { name: 'start', summary: 'Start a session', options: ['mode', 'mount-ro', 'mount-rw', 'gitcheckout', 'port', 'memory'] },
+        { name: 'shell', aliases: ['attach'], summary: 'Open a shell in a session', args: [{ name: 'session' }], options: [] },
+        { name: 'logs', summary: 'Show a session\'s output', args: [{ name: 'session', required: true }], options: ['follow'] },
+        { name: 'fanout', summary: 'Run several sessions', args: [{ name: 'prompt', required: true, variadic: true }], options: [] },
+        { name: 'completion', summary: 'Print a completion script', args: [{ name: 'shell', required: true, choices: ['bash', 'zsh', 'fish'] }], options: [] }
+    ]
+};
+
+const parse = (...argv) => parseCommandLine(DEFINITION, argv);
+
+test('uses the default command when the first argument names none', () => {
+    assert.deepStrictEqual(parse('--memory', '4g'), {
+        command: 'start',
+        explicit: false,
+        positionals: [],
+        values: { memory: '4g' }
+    });
+});
+
+test('accepts a value after "=" or as the next argument', () => {
+    assert.strictEqual(parse('--memory=4g').values.memory, '4g');
+    assert.strictEqual(parse('--memory', '4g').values.memory, '4g');
+    assert.strictEqual(parse('--memory=a=b').values.memory, 'a=b');
+    assert.strictEqual(parse('--mode=gitcheckout').values.mode, 'gitcheckout');
+});
+
+test('collects list values from commas and repeated flags', () => {
+    assert.deepStrictEqual(parse('--port', '3000,5173', '-p=8080').values.port, ['3000', '5173', '8080']);
+});
+
+test('rejects invalid and missing values', () => {
+    assert.throws(() => parse('--port', '3000,web'), { name: 'ConfigError', message: 'Invalid value for --port: 3000,web. It must be a port number' });
+    assert.throws(() => parse('--mode', 'docker'), { message: 'Invalid value for --mode: docker. It must be one of "mount-ro", "mount-rw", "gitcheckout"' });
+    assert.throws(() => parse('--memory'), { message: 'Missing value for --memory. It must be a non-empty value' });
+    assert.throws(() => parse('--memory='), { message: 'Invalid value for --memory: . It must be a non-empty value' });
+    assert.throws(() => parse('--mount-ro=yes'), { message: '--mount-ro does not take a value' });
+});
+
+test('sets the aliased option for alias flags', () => {
+    assert.deepStrictEqual(parse('--mount-rw').values, { mode: 'mount-rw' });
+    assert.deepStrictEqual(parse('--mount-ro', '--mode', 'mount-ro').values, { mode: 'mount-ro' });
+});
+
+test('rejects two flags setting the same option differently', () => {
+    assert.throws(() => parse('--mount-ro', '--gitcheckout'), {
+        name: 'ConfigError',
+        message: '--mount-ro and --gitcheckout cannot be combined, please use only one'
+    });
+    assert.throws(() => parse('--mode', 'mount-rw', '--mount-ro'), { message: '--mode and --mount-ro cannot be combined, please use only one' });
+    assert.strictEqual(parse('--memory', '4g', '--memory', '8g').values.memory, '8g');
+});
+
+test('finds commands by name and alias', () => {
+    assert.deepStrictEqual(parse('attach', 'box-1'), {
+        command: 'shell',
+        explicit: true,
+        positionals: ['box-1'],
+        values: {}
+    });
+    assert.strictEqual(parse('logs', '-f', 'box-1').values.follow, true);
+});
+
+test('rejects unknown options and commands', () => {
+    assert.throws(() => parse('--nope'), { message: 'Unknown option --nope' });
+    assert.throws(() => parse('logs', '--memory', '4g', 'box-1'), { message: 'Unknown option --memory for "logs"' });
+    assert.throws(() => parse('launch'), { message: 'Unknown command: launch' });
+    assert.throws(() => parse('shell', 'box-1', 'box-2'), { message: 'Unexpected argument for "shell": box-2' });
+});
+
+test('checks positional arguments', () => {
+    assert.throws(() => parse('logs'), { message: '"logs" needs <session>' });
+    assert.throws(() => parse('completion', 'powershell'), { message: 'Invalid shell for "completion": powershell. It must be one of bash, zsh, fish' });
+    assert.deepStrictEqual(parse('fanout', 'fix', 'the', 'tests').positionals, ['fix', 'the', 'tests']);
+    assert.deepStrictEqual(parse('fanout', '--', '--help').positionals, ['--help']);
+    assert.strictEqual(parse('logs', '--help').values.help, true);
+});
+
+test('points errors at the command\'s help', () => {
+    try {
+        parse('logs', '--nope');
+        assert.fail('expected a ConfigError');
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(error.hints, ['Run "opencodebox logs --help" for its arguments and options']);
+    }
+});
+
+test('prints completion scripts with every command and option', () => {
+    ['bash', 'zsh', 'fish'].forEach(shell => {
+        const script = completionScript(DEFINITION, shell);
+        ['attach', 'fanout', 'completion', 'mount-ro', 'port'].forEach(word => assert.ok(script.includes(word), `${shell} script lacks ${word}`));
+    });
+    assert.throws(() => completionScript(DEFINITION, 'powershell'), { message: 'No completion script for powershell, only for bash, zsh, fish' });
+});